@@ -1,15 +1,168 @@
 // aiPostProcessor.js - Enhanced version with rate limiting and failure tracking
 
 const fs = require('fs').promises;
+const { existsSync } = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const Joi = require('joi');
+const { createLLMProvider } = require('./llmProviders');
+const { normalizeSpokenCodes } = require('./spokenCodeNormalizer');
+const nlpFallback = require('./nlpFallback');
+const { selectPromptChunks, estimateTokens } = require('./transcriptChunker');
+const { getPrompt, renderPrompt } = require('./promptTemplates');
+const { scoreMatchDetailed } = require('./scoreMatch');
+const { escapeRegExp } = require('./sponsorDetector');
+const config = require('./config');
+const { JobStore, classifyError } = require('./jobStore');
+
+// Price table and spend caps from smartfetch-config.json (ai section)
+const AI_SETTINGS = config.loadConfig().ai || {};
+
+// Reply length cap for assessments; also counted against the queue's token budget
+const AI_MAX_TOKENS = 400;
+
+// Shape every AI assessment must have before it's used; unknown keys are dropped
+const AI_RESPONSE_SCHEMA = Joi.object({
+    confidence: Joi.number().min(0).max(1).required(),
+    reasoning: Joi.string().allow('').default('No reasoning provided'),
+    validCodes: Joi.array().items(Joi.string().trim().uppercase().min(1).max(30)).default([]),
+    isPromotional: Joi.boolean().default(false),
+    recommendation: Joi.string().trim().lowercase().valid('accept', 'review', 'reject').default('review')
+}).options({ stripUnknown: true, abortEarly: false });
+
+// Pull the JSON object out of a reply: code fences, leading prose, trailing commas
+function extractJSON(responseText) {
+    let cleanResponse = String(responseText || '').trim();
+    cleanResponse = cleanResponse.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    const start = cleanResponse.indexOf('{');
+    const end = cleanResponse.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('No JSON object in response');
+    }
+    const candidate = cleanResponse.slice(start, end + 1);
+
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        // Common model mistakes: trailing commas and typographic quotes
+        const repaired = candidate
+            .replace(/,\s*([}\]])/g, '$1')
+            .replace(/[\u201C\u201D]/g, '"');
+        return JSON.parse(repaired);
+    }
+}
+
+// True if the code appears as a whole token in the text, as written or as a spoken spelling
+function isCodeInText(code, text) {
+    const pattern = new RegExp(`(?:^|[^A-Z0-9])${escapeRegExp(code)}(?![A-Z0-9])`);
+    return pattern.test(text.toUpperCase()) || pattern.test(normalizeSpokenCodes(text).text.toUpperCase());
+}
+
+// Continuously refilling allowance of `capacity` units per minute
+class TokenBucket {
+    constructor(perMinute) {
+        this.capacity = perMinute;
+        this.tokens = perMinute;
+        this.refillPerMs = perMinute / 60000;
+        this.lastRefill = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    // Milliseconds until `amount` units are available (requests larger than the bucket wait for a full one)
+    waitTime(amount) {
+        this.refill();
+        const needed = Math.min(amount, this.capacity);
+        return this.tokens >= needed ? 0 : Math.ceil((needed - this.tokens) / this.refillPerMs);
+    }
+
+    take(amount) {
+        this.refill();
+        this.tokens -= Math.min(amount, this.capacity);
+    }
+}
+
+// Seconds ("30"), HTTP dates, milliseconds and OpenAI's "6m0s" / "20ms" durations
+function parseDelay(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.ceil(parseFloat(text) * 1000);
+
+    const duration = text.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+    if (duration && duration.slice(1).some(Boolean)) {
+        const [, hours = 0, minutes = 0, seconds = 0, millis = 0] = duration;
+        return Math.ceil(hours * 3600000 + minutes * 60000 + seconds * 1000 + Number(millis));
+    }
+
+    const date = Date.parse(text);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * How long the provider asked us to wait, from a failed response's headers:
+ * Retry-After / retry-after-ms, then OpenAI (x-ratelimit-reset-*) and
+ * Anthropic (anthropic-ratelimit-*-reset) reset times. Null if none are set.
+ */
+function retryDelayFromHeaders(headers) {
+    if (!headers) return null;
+    const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+    const retryAfterMs = Number(get('retry-after-ms'));
+    if (retryAfterMs > 0) return retryAfterMs;
+
+    const retryAfter = parseDelay(get('retry-after'));
+    if (retryAfter !== null) return retryAfter;
+
+    const resets = [
+        'x-ratelimit-reset-requests',
+        'x-ratelimit-reset-tokens',
+        'anthropic-ratelimit-requests-reset',
+        'anthropic-ratelimit-tokens-reset'
+    ].map(name => parseDelay(get(name))).filter(delay => delay !== null);
+
+    return resets.length > 0 ? Math.max(...resets) : null;
+}
+
+// Rate limits and server errors are worth waiting out; anything else fails at once
+function isRetryableError(error) {
+    return error.status === 429 || error.status >= 500;
+}
 
 class RateLimitedQueue {
     constructor(options = {}) {
         this.requestsPerMinute = options.requestsPerMinute || 20; // Conservative limit
+        // Optional token budget; requests carry metadata.estimatedTokens
+        this.tokensPerMinute = options.tokensPerMinute || null;
+        this.maxRetries = options.maxRetries ?? 4;
+        this.baseBackoffMs = options.baseBackoffMs || 1000;
+        this.maxBackoffMs = options.maxBackoffMs || 60000;
+
+        this.requestBucket = new TokenBucket(this.requestsPerMinute);
+        this.tokenBucket = this.tokensPerMinute ? new TokenBucket(this.tokensPerMinute) : null;
+        // A 429 pauses the whole queue, not just the request that hit it
+        this.pausedUntil = 0;
+
         this.requests = [];
         this.processing = false;
         this.onSuccess = options.onSuccess || (() => {});
         this.onError = options.onError || (() => {});
+
+        this.metrics = {
+            completed: 0,
+            failed: 0,
+            retries: 0,
+            rateLimited: 0,
+            serverErrors: 0,
+            totalWaitMs: 0,
+            maxWaitMs: 0,
+            throttledMs: 0
+        };
     }
 
     async add(fn, metadata = {}) {
@@ -25,6 +178,62 @@ class RateLimitedQueue {
         });
     }
 
+    // Exponential backoff with jitter, never shorter than what the provider asked for
+    backoffDelay(attempt, error) {
+        const exponential = Math.min(this.maxBackoffMs, this.baseBackoffMs * 2 ** attempt);
+        const jittered = exponential / 2 + Math.random() * (exponential / 2);
+        const requested = retryDelayFromHeaders(error.headers);
+        return Math.max(jittered, requested || 0);
+    }
+
+    // Wait for the pause, the request bucket and the token bucket, in that order
+    async throttle(estimatedTokens) {
+        const started = Date.now();
+
+        for (;;) {
+            const paused = Math.max(0, this.pausedUntil - Date.now());
+            const requestWait = this.requestBucket.waitTime(1);
+            const tokenWait = this.tokenBucket ? this.tokenBucket.waitTime(estimatedTokens) : 0;
+            const waitTime = Math.max(paused, requestWait, tokenWait);
+            if (waitTime <= 0) break;
+
+            if (waitTime >= 1000) {
+                const cause = waitTime === paused ? 'provider rate limit' : waitTime === tokenWait ? 'token limit' : 'request limit';
+                console.log(`🕐 Rate limit reached (${cause}), waiting ${Math.ceil(waitTime/1000)}s...`);
+            }
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+
+        this.requestBucket.take(1);
+        if (this.tokenBucket) this.tokenBucket.take(estimatedTokens);
+        this.metrics.throttledMs += Date.now() - started;
+    }
+
+    async run(request) {
+        const estimatedTokens = request.metadata.estimatedTokens || 0;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.throttle(estimatedTokens);
+            try {
+                return await request.fn();
+            } catch (error) {
+                if (!isRetryableError(error) || attempt >= this.maxRetries) throw error;
+
+                const delay = this.backoffDelay(attempt, error);
+                if (error.status === 429) {
+                    this.metrics.rateLimited++;
+                    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+                } else {
+                    this.metrics.serverErrors++;
+                }
+                this.metrics.retries++;
+
+                console.log(`🔁 AI request for ${request.metadata.videoId || 'unknown'} got ${error.status}, retry ${attempt + 1}/${this.maxRetries} in ${(delay/1000).toFixed(1)}s`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
     async process() {
         if (this.processing || this.requests.length === 0) return;
         
@@ -32,74 +241,66 @@ class RateLimitedQueue {
         
         while (this.requests.length > 0) {
             const request = this.requests.shift();
+
+            // Time spent queued behind other requests
+            const waited = Date.now() - request.timestamp;
+            this.metrics.totalWaitMs += waited;
+            this.metrics.maxWaitMs = Math.max(this.metrics.maxWaitMs, waited);
             
             try {
-                // Rate limiting: ensure we don't exceed requests per minute
-                const now = Date.now();
-                const oneMinuteAgo = now - 60000;
-                
-                // Remove old requests from tracking
-                this.recentRequests = (this.recentRequests || []).filter(time => time > oneMinuteAgo);
-                
-                // If we're at the limit, wait
-                if (this.recentRequests.length >= this.requestsPerMinute) {
-                    const oldestRequest = Math.min(...this.recentRequests);
-                    const waitTime = oldestRequest + 60000 - now + 1000; // Add 1s buffer
-                    console.log(`🕐 Rate limit reached, waiting ${Math.ceil(waitTime/1000)}s...`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
-                }
-                
-                // Execute the request
-                this.recentRequests = this.recentRequests || [];
-                this.recentRequests.push(Date.now());
-                
-                const result = await request.fn();
+                const result = await this.run(request);
+                this.metrics.completed++;
                 request.resolve(result);
                 this.onSuccess(request.metadata);
                 
             } catch (error) {
+                this.metrics.failed++;
                 request.reject(error);
                 this.onError(error, request.metadata);
             }
-            
-            // Small delay between requests
-            await new Promise(resolve => setTimeout(resolve, 100));
         }
         
         this.processing = false;
     }
+
+    getMetrics() {
+        const started = this.metrics.completed + this.metrics.failed;
+        return {
+            depth: this.requests.length,
+            ...this.metrics,
+            avgWaitMs: started > 0 ? Math.round(this.metrics.totalWaitMs / started) : 0,
+            oldestQueuedMs: this.requests.length > 0 ? Date.now() - this.requests[0].timestamp : 0
+        };
+    }
 }
 
+// Failed AI requests, kept in an append-only job store (see jobStore.js).
+// `failureFile` may name the old JSON file; its records are imported on first use.
 class FailureTracker {
     constructor(failureFile = 'failed-ai-requests.json') {
-        this.failureFile = failureFile;
+        this.legacyFile = failureFile.endsWith('.json') ? failureFile : null;
+        this.failureFile = this.legacyFile ? `${failureFile}l` : failureFile;
+        this.store = new JobStore(this.failureFile);
+        this.migrated = false;
     }
 
-    async logFailure(videoId, prompt, error, metadata = {}) {
-        try {
-            let failures = [];
-            
-            // Try to read existing failures
-            try {
-                const data = await fs.readFile(this.failureFile, 'utf8');
-                failures = JSON.parse(data);
-            } catch (err) {
-                // File doesn't exist or is invalid, start fresh
-                console.log('📝 Creating new failure log file');
-            }
+    // One-time import of failed-ai-requests.json; the old file is left in place
+    async migrate() {
+        if (this.migrated) return 0;
+        this.migrated = true;
+        if (!this.legacyFile || existsSync(this.failureFile)) return 0;
 
-            const failureEntry = {
-                videoId,
-                prompt,
-                error: error.message,
-                timestamp: new Date().toISOString(),
-                retryCount: 0,
-                metadata
-            };
+        const imported = await this.store.importLegacy(this.legacyFile);
+        if (imported > 0) {
+            console.log(`📦 Imported ${imported} failures from ${this.legacyFile} into ${this.failureFile}`);
+        }
+        return imported;
+    }
 
-            failures.push(failureEntry);
-            
-            await fs.writeFile(this.failureFile, JSON.stringify(failures, null, 2));
+    async logFailure(videoId, prompt, error, metadata = {}) {
+        try {
+            await this.migrate();
+            await this.store.add({ videoId, prompt, error, metadata });
             console.log(`📝 Logged failure for video ${videoId}`);
             
         } catch (err) {
@@ -109,67 +310,358 @@ class FailureTracker {
 
     async getFailures() {
         try {
-            const data = await fs.readFile(this.failureFile, 'utf8');
-            return JSON.parse(data);
+            await this.migrate();
+            return this.store.all();
         } catch (err) {
             return [];
         }
     }
 
-    async markRetried(videoId, success = false) {
+    async getFailuresForVideo(videoId) {
+        await this.migrate();
+        return this.store.findByVideo(videoId);
+    }
+
+    async getFailuresByErrorType(errorType) {
+        await this.migrate();
+        return this.store.findByErrorType(errorType);
+    }
+
+    async markJobRetried(id, success = false) {
         try {
-            const failures = await this.getFailures();
-            const updated = failures.map(failure => {
-                if (failure.videoId === videoId) {
-                    return {
-                        ...failure,
-                        retryCount: (failure.retryCount || 0) + 1,
-                        lastRetry: new Date().toISOString(),
-                        resolved: success
-                    };
-                }
-                return failure;
+            await this.migrate();
+            const job = this.store.get(id);
+            if (!job) return;
+
+            await this.store.update(id, {
+                retryCount: (job.retryCount || 0) + 1,
+                lastRetry: new Date().toISOString(),
+                resolved: success
             });
-            
-            await fs.writeFile(this.failureFile, JSON.stringify(updated, null, 2));
         } catch (err) {
             console.error('❌ Failed to mark retry:', err.message);
         }
     }
 
+    // Retrying a failure that fails again updates it rather than adding a new record
+    async recordRetryError(id, error) {
+        try {
+            await this.store.update(id, {
+                error: error.message,
+                errorType: classifyError(error),
+                lastError: new Date().toISOString()
+            });
+        } catch (err) {
+            console.error('❌ Failed to record retry error:', err.message);
+        }
+    }
+
+    async markRetried(videoId, success = false) {
+        for (const job of await this.getFailuresForVideo(videoId)) {
+            await this.markJobRetried(job.id, success);
+        }
+    }
+
     async clearResolved() {
         try {
-            const failures = await this.getFailures();
-            const unresolved = failures.filter(f => !f.resolved);
-            await fs.writeFile(this.failureFile, JSON.stringify(unresolved, null, 2));
-            console.log(`🧹 Cleared ${failures.length - unresolved.length} resolved failures`);
+            await this.migrate();
+            const resolved = this.store.all().filter(f => f.resolved);
+            await this.store.remove(resolved.map(f => f.id));
+            await this.store.compact();
+            console.log(`🧹 Cleared ${resolved.length} resolved failures`);
         } catch (err) {
             console.error('❌ Failed to clear resolved failures:', err.message);
         }
     }
 }
 
+// Disk-backed cache of AI answers, keyed by model + prompt version + a hash of
+// the prompts sent (transcript excerpts plus the regex result they describe)
+class AIResponseCache {
+    constructor(cacheFile = 'ai-response-cache.json', ttlMs = 7 * 24 * 60 * 60 * 1000) {
+        this.cacheFile = cacheFile;
+        this.ttlMs = ttlMs;
+        this.entries = null;
+        this.hits = 0;
+        this.misses = 0;
+        // Writes run one at a time; each writes the latest entries
+        this.writeChain = Promise.resolve();
+    }
+
+    static hashText(text) {
+        return crypto.createHash('sha256').update(text || '').digest('hex');
+    }
+
+    static key({ model, promptVersion, prompts }) {
+        return `${model}:${promptVersion}:${AIResponseCache.hashText(prompts.join('\n\n'))}`;
+    }
+
+    async load() {
+        if (this.entries) return this.entries;
+
+        let entries;
+        try {
+            const data = await fs.readFile(this.cacheFile, 'utf8');
+            entries = JSON.parse(data);
+        } catch (err) {
+            // File doesn't exist or is invalid, start fresh
+            entries = {};
+        }
+        // A concurrent call may have loaded (and added to) the entries during the read
+        if (this.entries) return this.entries;
+        this.entries = entries;
+
+        // Drop expired entries so the file doesn't grow forever
+        const now = Date.now();
+        for (const [key, entry] of Object.entries(this.entries)) {
+            if (!entry || now - entry.cachedAt > this.ttlMs) delete this.entries[key];
+        }
+        return this.entries;
+    }
+
+    async get(key) {
+        const entries = await this.load();
+        const entry = entries[key];
+        if (entry && Date.now() - entry.cachedAt <= this.ttlMs) {
+            this.hits++;
+            return entry.value;
+        }
+        this.misses++;
+        return null;
+    }
+
+    async set(key, value) {
+        const entries = await this.load();
+        entries[key] = { value, cachedAt: Date.now() };
+
+        this.writeChain = this.writeChain.then(async () => {
+            try {
+                // Write then rename, so an interrupted run can't leave half a file behind
+                const tempFile = `${this.cacheFile}.tmp`;
+                await fs.writeFile(tempFile, JSON.stringify(entries, null, 2));
+                await fs.rename(tempFile, this.cacheFile);
+            } catch (err) {
+                console.error('❌ Failed to write AI response cache:', err.message);
+            }
+        });
+        await this.writeChain;
+    }
+
+    async size() {
+        return Object.keys(await this.load()).length;
+    }
+}
+
+// Token usage and spend per run and across runs (persisted to usageFile)
+class UsageTracker {
+    constructor(options = {}) {
+        this.usageFile = options.usageFile || 'ai-usage.json';
+        this.pricing = options.pricing || {};
+        this.budget = { perRun: null, total: null, ...(options.budget || {}) };
+        this.run = UsageTracker.emptyTotals();
+        this.total = null;
+        this.unpricedModels = new Set();
+        // Concurrent requests record at once; their writes run one at a time
+        this.writeChain = Promise.resolve();
+    }
+
+    static emptyTotals() {
+        return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, byModel: {} };
+    }
+
+    // Longest matching prefix wins, so "gpt-4o-mini-2024-07-18" isn't priced as gpt-4o
+    priceFor(model = '') {
+        const match = Object.keys(this.pricing)
+            .filter(prefix => model.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (!match && !this.unpricedModels.has(model)) {
+            this.unpricedModels.add(model);
+            console.log(`⚠️ No price for model ${model}; counting its tokens at $0`);
+        }
+        return match ? this.pricing[match] : { input: 0, output: 0 };
+    }
+
+    async load() {
+        if (this.total) return this.total;
+
+        let total;
+        try {
+            const data = await fs.readFile(this.usageFile, 'utf8');
+            total = { ...UsageTracker.emptyTotals(), ...JSON.parse(data) };
+        } catch (err) {
+            // File doesn't exist or is invalid, start fresh
+            total = { ...UsageTracker.emptyTotals(), since: new Date().toISOString() };
+        }
+        // Another record() may have loaded and counted while this one was reading
+        if (!this.total) this.total = total;
+        return this.total;
+    }
+
+    async record(model, usage = {}) {
+        const total = await this.load();
+        const inputTokens = usage.inputTokens || 0;
+        const outputTokens = usage.outputTokens || 0;
+        const price = this.priceFor(model);
+        const cost = (inputTokens * price.input + outputTokens * price.output) / 1000000;
+
+        for (const totals of [this.run, total]) {
+            totals.requests++;
+            totals.inputTokens += inputTokens;
+            totals.outputTokens += outputTokens;
+            totals.cost += cost;
+
+            const perModel = totals.byModel[model] || { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+            perModel.requests++;
+            perModel.inputTokens += inputTokens;
+            perModel.outputTokens += outputTokens;
+            perModel.cost += cost;
+            totals.byModel[model] = perModel;
+        }
+
+        this.writeChain = this.writeChain.then(async () => {
+            try {
+                const tempFile = `${this.usageFile}.tmp`;
+                await fs.writeFile(tempFile, JSON.stringify(total, null, 2));
+                await fs.rename(tempFile, this.usageFile);
+            } catch (err) {
+                console.error('❌ Failed to save AI usage:', err.message);
+            }
+        });
+        await this.writeChain;
+
+        return cost;
+    }
+
+    // Reason the budget is used up, or null while there's room left
+    async overBudget() {
+        const total = await this.load();
+        const { perRun, total: totalCap } = this.budget;
+
+        if (typeof perRun === 'number' && this.run.cost >= perRun) {
+            return `run budget $${perRun.toFixed(2)} reached ($${this.run.cost.toFixed(4)} spent)`;
+        }
+        if (typeof totalCap === 'number' && total.cost >= totalCap) {
+            return `total budget $${totalCap.toFixed(2)} reached ($${total.cost.toFixed(4)} spent)`;
+        }
+        return null;
+    }
+}
+
 class EnhancedAIPostProcessor {
     constructor(config = {}) {
+        // Chat backend: OpenAI, Anthropic, Azure OpenAI or a local OpenAI-compatible server
+        this.llm = config.llmProvider || createLLMProvider({
+            provider: config.provider,
+            apiKey: config.apiKey,
+            model: config.model,
+            baseUrl: config.baseUrl,
+            timeout: config.timeout
+        });
+
         this.config = {
-            provider: config.provider || 'openai',
-            apiKey: config.apiKey || process.env.OPENAI_API_KEY,
-            model: config.model || 'gpt-3.5-turbo',
+            provider: this.llm.name,
+            model: this.llm.model,
             enabled: config.enabled !== false,
             threshold: config.threshold || 0.4,
             timeout: config.timeout || 15000,
+            // Re-asks after a reply fails schema validation
+            maxRepairAttempts: config.maxRepairAttempts ?? 2,
+            // Transcript excerpt size per prompt, and how many prompts one video may fan out to
+            promptTokenBudget: config.promptTokenBudget || 1000,
+            maxPromptChunks: config.maxPromptChunks || 3,
             requestsPerMinute: config.requestsPerMinute || 20, // Conservative limit
-            failureFile: config.failureFile || 'failed-ai-requests.json'
+            tokensPerMinute: config.tokensPerMinute || null,
+            // Retries on 429/5xx (with backoff) before a request counts as failed
+            maxRetries: config.maxRetries ?? 4,
+            failureFile: config.failureFile || 'failed-ai-requests.json',
+            // Reuse answers for transcripts already judged by the same model and prompt
+            cache: config.cache !== false,
+            cacheFile: config.cacheFile || 'ai-response-cache.json',
+            cacheTtlHours: config.cacheTtlHours || 24 * 7,
+            // USD per 1M tokens by model prefix, and spend caps (null = none)
+            pricing: config.pricing || AI_SETTINGS.pricing || {},
+            budget: {
+                perRun: config.maxCostPerRun ?? AI_SETTINGS.budget?.perRun ?? null,
+                total: config.maxCostTotal ?? AI_SETTINGS.budget?.total ?? null
+            },
+            usageFile: config.usageFile || AI_SETTINGS.usageFile || 'ai-usage.json',
+            // Template versions from prompts/ (defaults: smartfetch-config.json ai.prompts)
+            promptVersions: config.promptVersions || {},
+            // A/B mode: also run this rescore version and report how often it agrees
+            abPromptVersion: config.abPromptVersion || null
         };
 
+        // Throws for a missing template file, like an unknown provider above
+        this.prompts = {
+            system: getPrompt('system', this.config.promptVersions.system),
+            rescore: getPrompt('rescore', this.config.promptVersions.rescore),
+            repair: getPrompt('repair', this.config.promptVersions.repair),
+            extract: getPrompt('extract', this.config.promptVersions.extract)
+        };
+        // A missing A/B template only turns A/B mode off; the run itself goes ahead
+        this.abPrompt = null;
+        if (this.config.abPromptVersion) {
+            try {
+                this.abPrompt = getPrompt('rescore', this.config.abPromptVersion);
+            } catch (error) {
+                console.log(`⚠️ A/B mode disabled: ${error.message}`);
+            }
+        }
+        this.abStats = { compared: 0, recommendationAgreed: 0, codeAgreementSum: 0, confidenceDeltaSum: 0 };
+
         // Initialize rate limiter and failure tracker
         this.queue = new RateLimitedQueue({
             requestsPerMinute: this.config.requestsPerMinute,
+            tokensPerMinute: this.config.tokensPerMinute,
+            maxRetries: this.config.maxRetries,
             onSuccess: (metadata) => console.log(`✅ AI processed video ${metadata.videoId}`),
             onError: (error, metadata) => console.log(`❌ AI failed for video ${metadata.videoId}: ${error.message}`)
         });
         
         this.failureTracker = new FailureTracker(this.config.failureFile);
+        this.cache = new AIResponseCache(this.config.cacheFile, this.config.cacheTtlHours * 60 * 60 * 1000);
+        this.usage = new UsageTracker({
+            usageFile: this.config.usageFile,
+            pricing: this.config.pricing,
+            budget: this.config.budget
+        });
+        this.budgetReason = null;
+    }
+
+    // Every model call goes through here so its tokens and cost are counted
+    async complete(request) {
+        const response = await this.llm.complete(request);
+        await this.usage.record(response.model || this.config.model, response.usage);
+        return response;
+    }
+
+    // Once spend reaches a cap, AI steps are skipped and results stay regex-only
+    async isOverBudget() {
+        const reason = await this.usage.overBudget();
+        if (reason && !this.budgetReason) {
+            console.log(`💸 AI ${reason}; continuing with regex-only results`);
+        }
+        this.budgetReason = reason;
+        return Boolean(reason);
+    }
+
+    // Checked when a queued request actually runs, so fanned-out requests stop at the cap too
+    async withinBudget(fn) {
+        if (await this.isOverBudget()) {
+            throw new Error(`AI ${this.budgetReason}`);
+        }
+        return fn();
+    }
+
+    // "system-v1/rescore-v1": every template that shaped the answer
+    promptVersion(template) {
+        return `${this.prompts.system.id}/${template.id}`;
+    }
+
+    // Keyed on what the model is sent, so a changed transcript or regex result misses
+    cacheKey(template, prompts) {
+        return AIResponseCache.key({ model: this.config.model, promptVersion: this.promptVersion(template), prompts });
     }
 
     shouldProcess(result) {
@@ -178,114 +670,262 @@ class EnhancedAIPostProcessor {
         return result.confidence < this.config.threshold;
     }
 
-    generatePrompt(result, originalText) {
-        return `Analyze this YouTube video content for promotional/coupon codes and affiliate marketing.
-
-EXTRACTED DATA:
-- Codes found: ${JSON.stringify(result.codes || [])}
-- Code confidence: ${JSON.stringify(result.codeConfidence || {})}
-- Percentage discounts: ${JSON.stringify(result.percent_off || [])}
-- Flat discounts: ${JSON.stringify(result.flat_discount || [])}
-- Links: ${JSON.stringify(result.links || [])}
-- Current confidence: ${result.confidence}
-
-SAMPLE TEXT (first 800 chars):
-"${originalText ? originalText.substring(0, 800) : 'N/A'}"
+    /**
+     * Splits the promotion-dense parts of the transcript into prompt-sized excerpts,
+     * densest first. A transcript that fits the budget comes back whole.
+     * @returns {string[]}
+     */
+    selectPromptChunks(result, originalText) {
+        return selectPromptChunks(originalText, {
+            chunkTokens: this.config.promptTokenBudget,
+            maxChunks: this.config.maxPromptChunks,
+            anchors: result.codes || []
+        });
+    }
 
-TASK:
-1. Determine if the extracted codes are likely valid promotional/coupon codes
-2. Assess if this appears to be sponsored/promotional content
-3. Rate confidence from 0.0 to 1.0 where:
-   - 0.8+ = Definitely promotional with valid codes
-   - 0.5-0.8 = Likely promotional, codes need verification  
-   - 0.2-0.5 = Possibly promotional, weak signals
-   - 0.0-0.2 = Not promotional content
+    // `sampleText` is an excerpt from selectPromptChunks, not the whole transcript
+    generatePrompt(result, sampleText, template = this.prompts.rescore) {
+        return renderPrompt(template, {
+            codes: JSON.stringify(result.codes || []),
+            codeConfidence: JSON.stringify(result.codeConfidence || {}),
+            percentOff: JSON.stringify(result.percent_off || []),
+            flatDiscount: JSON.stringify(result.flat_discount || []),
+            links: JSON.stringify(result.links || []),
+            confidence: result.confidence,
+            sampleText: sampleText || 'N/A'
+        });
+    }
 
-RESPOND WITH JSON ONLY:
-{
-  "confidence": 0.0-1.0,
-  "reasoning": "brief explanation",
-  "validCodes": ["list of codes that seem valid"],
-  "isPromotional": true/false,
-  "recommendation": "accept/review/reject"
-}`;
+    async makeAIRequest(prompt) {
+        const response = await this.complete({
+            system: this.prompts.system.text,
+            prompt,
+            temperature: 0.1,
+            maxTokens: AI_MAX_TOKENS
+        });
+        return response.text;
     }
 
+    // Kept for callers written before the provider abstraction
     async makeOpenAIRequest(prompt) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+        return this.makeAIRequest(prompt);
+    }
 
+    /**
+     * Parses and schema-checks an AI reply.
+     * @param {string} responseText Raw model output.
+     * @returns {{value: object|null, error: string|null}}
+     */
+    validateAIResponse(responseText) {
+        let parsed;
         try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.config.model,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: 'You are an expert at identifying promotional content and coupon codes in YouTube videos. Respond only with valid JSON.'
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    temperature: 0.1,
-                    max_tokens: 400
-                }),
-                signal: controller.signal
-            });
+            parsed = extractJSON(responseText);
+        } catch (error) {
+            return { value: null, error: `Malformed JSON: ${error.message}` };
+        }
+
+        const { value, error } = AI_RESPONSE_SCHEMA.validate(parsed);
+        if (error) {
+            return { value: null, error: error.details.map(detail => detail.message).join('; ') };
+        }
+        return { value, error: null };
+    }
+
+    parseAIResponse(responseText) {
+        const { value, error } = this.validateAIResponse(responseText);
+        if (error) {
+            console.log('⚠️ Error parsing AI response:', error);
+            return null;
+        }
+        return value;
+    }
+
+    // Follow-up prompt asking the model to fix a reply that failed validation
+    generateRepairPrompt(prompt, responseText, error) {
+        return renderPrompt(this.prompts.repair, {
+            error,
+            previousReply: String(responseText || '').substring(0, 1000),
+            prompt
+        });
+    }
+
+    /**
+     * Sends the prompt and re-asks with the validation error until the reply
+     * matches the schema or maxRepairAttempts is used up.
+     * @returns {Promise<{aiResult: object, repairAttempts: number}>}
+     */
+    async requestValidatedResponse(prompt, metadata = {}) {
+        let currentPrompt = prompt;
+        let lastError = null;
 
-            clearTimeout(timeoutId);
+        for (let attempt = 0; attempt <= this.config.maxRepairAttempts; attempt++) {
+            const responseText = await this.queue.add(
+                () => this.withinBudget(() => this.makeAIRequest(currentPrompt)),
+                {
+                    ...metadata,
+                    prompt: currentPrompt,
+                    repairAttempt: attempt,
+                    estimatedTokens: estimateTokens(this.prompts.system.text + currentPrompt) + AI_MAX_TOKENS
+                }
+            );
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`OpenAI API error: ${response.status} ${response.statusText} - ${errorText}`);
+            const { value, error } = this.validateAIResponse(responseText);
+            if (value) {
+                return { aiResult: value, repairAttempts: attempt };
             }
 
-            const data = await response.json();
-            return data.choices[0].message.content;
+            lastError = error;
+            console.log(`⚠️ Invalid AI response for ${metadata.videoId || 'unknown'} (attempt ${attempt + 1}): ${error}`);
+            currentPrompt = this.generateRepairPrompt(prompt, responseText, error);
+        }
+
+        throw new Error(`AI response failed validation after ${this.config.maxRepairAttempts + 1} attempts: ${lastError}`);
+    }
+
+    // One validated request per excerpt, merged; fails only if every excerpt fails
+    async requestChunkAnswers(prompts, videoId) {
+        // Rate-limited, schema-checked, re-asked on malformed replies; one request per excerpt
+        const settled = await Promise.allSettled(prompts.map((prompt, index) =>
+            this.requestValidatedResponse(prompt, { videoId, chunk: index + 1, chunks: prompts.length })
+        ));
+        const answers = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+        if (answers.length === 0) {
+            throw settled[0].reason;
+        }
+
+        const merged = this.mergeChunkAnswers(answers);
+        if (prompts.length > 1) {
+            console.log(`🧩 Merged ${answers.length}/${prompts.length} excerpt answers for ${videoId}`);
+        }
+        return { ...merged, failedChunks: prompts.length - answers.length };
+    }
+
+    /**
+     * Combines the answers for several excerpts of one transcript: the most confident
+     * answer leads, codes valid in any excerpt are kept.
+     * @returns {{aiResult: object, repairAttempts: number}}
+     */
+    mergeChunkAnswers(answers) {
+        if (answers.length === 1) return answers[0];
+
+        const results = answers.map(answer => answer.aiResult);
+        const best = results.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+        const validCodes = [...new Set(results.flatMap(aiResult => aiResult.validCodes))];
+
+        return {
+            aiResult: {
+                ...best,
+                validCodes,
+                isPromotional: results.some(aiResult => aiResult.isPromotional),
+                reasoning: results.map(aiResult => aiResult.reasoning).filter(Boolean).join(' | ')
+            },
+            repairAttempts: answers.reduce((sum, answer) => sum + answer.repairAttempts, 0)
+        };
+    }
+
+    /**
+     * Drops validCodes the model made up: a code must be one the extractors
+     * already found or appear in the transcript (written or spelled out).
+     * @returns {{grounded: string[], dropped: string[]}}
+     */
+    groundValidCodes(validCodes, originalText, result = {}) {
+        const grounded = [];
+        const dropped = [];
+        const extracted = (result.codes || []).map(code => String(code).toUpperCase());
+
+        for (const code of validCodes) {
+            const isGrounded = extracted.includes(code) ||
+                (Boolean(originalText) && isCodeInText(code, originalText));
+            (isGrounded ? grounded : dropped).push(code);
+        }
+
+        return { grounded, dropped };
+    }
+
+    /**
+     * Rescore answer for one prompt template: from the cache, or from the model
+     * (one request per excerpt). Null when the budget is used up.
+     * @returns {Promise<{aiResult: object, repairAttempts: number, prompts: string[]}|null>}
+     */
+    async assess(result, originalText, videoId, template = this.prompts.rescore) {
+        const prompts = this.selectPromptChunks(result, originalText)
+            .map(sampleText => this.generatePrompt(result, sampleText, template));
 
+        const cacheKey = this.cacheKey(template, prompts);
+        const cached = this.config.cache && originalText ? await this.cache.get(cacheKey) : null;
+        if (cached) {
+            console.log(`💾 AI cache hit for ${videoId} (${template.id})`);
+            return { ...cached, prompts };
+        }
+        if (await this.isOverBudget()) return null;
+
+        try {
+            const { aiResult, repairAttempts, failedChunks } = await this.requestChunkAnswers(prompts, videoId);
+            if (this.config.cache && originalText && failedChunks === 0) {
+                await this.cache.set(cacheKey, { aiResult, repairAttempts });
+            }
+            return { aiResult, repairAttempts, prompts };
         } catch (error) {
-            clearTimeout(timeoutId);
+            error.prompts = prompts;
             throw error;
         }
     }
 
-    parseAIResponse(responseText) {
+    // How far two answers for the same input agree
+    compareAnswers(a, b) {
+        const codesA = new Set(a.validCodes);
+        const codesB = new Set(b.validCodes);
+        const union = new Set([...codesA, ...codesB]);
+        const shared = [...codesA].filter(code => codesB.has(code)).length;
+
+        return {
+            recommendation: a.recommendation === b.recommendation,
+            // Jaccard overlap; two empty lists agree
+            codes: union.size === 0 ? 1 : shared / union.size,
+            confidenceDelta: Math.abs(a.confidence - b.confidence)
+        };
+    }
+
+    // A/B mode: the B answer is only recorded, never used for the result
+    async runABComparison(result, originalText, videoId, aiResult) {
         try {
-            let cleanResponse = responseText.trim();
-            if (cleanResponse.startsWith('```json')) {
-                cleanResponse = cleanResponse.replace(/```json\n?/, '').replace(/\n?```$/, '');
-            }
-            if (cleanResponse.startsWith('```')) {
-                cleanResponse = cleanResponse.replace(/```\n?/, '').replace(/\n?```$/, '');
-            }
+            const answer = await this.assess(result, originalText, videoId, this.abPrompt);
+            if (!answer) return null;
 
-            const parsed = JSON.parse(cleanResponse);
-            
-            if (typeof parsed.confidence !== 'number' || 
-                parsed.confidence < 0 || parsed.confidence > 1) {
-                throw new Error('Invalid confidence value');
-            }
+            const agreement = this.compareAnswers(aiResult, answer.aiResult);
+            this.abStats.compared++;
+            if (agreement.recommendation) this.abStats.recommendationAgreed++;
+            this.abStats.codeAgreementSum += agreement.codes;
+            this.abStats.confidenceDeltaSum += agreement.confidenceDelta;
 
+            console.log(`🆎 ${this.prompts.rescore.id} vs ${this.abPrompt.id} for ${videoId}: recommendation ${agreement.recommendation ? 'agrees' : 'differs'}, codes ${(agreement.codes * 100).toFixed(0)}% overlap, confidence Δ${agreement.confidenceDelta.toFixed(2)}`);
             return {
-                confidence: parsed.confidence,
-                reasoning: parsed.reasoning || 'No reasoning provided',
-                validCodes: Array.isArray(parsed.validCodes) ? parsed.validCodes : [],
-                isPromotional: Boolean(parsed.isPromotional),
-                recommendation: parsed.recommendation || 'review'
+                promptVersion: this.promptVersion(this.abPrompt),
+                confidence: answer.aiResult.confidence,
+                recommendation: answer.aiResult.recommendation,
+                validCodes: answer.aiResult.validCodes,
+                agreement
             };
         } catch (error) {
-            console.log('⚠️ Error parsing AI response:', error.message);
+            console.log(`⚠️ A/B prompt ${this.abPrompt.id} failed for ${videoId}: ${error.message}`);
             return null;
         }
     }
 
+    getABReport() {
+        const { compared, recommendationAgreed, codeAgreementSum, confidenceDeltaSum } = this.abStats;
+        if (!this.abPrompt) return null;
+
+        return {
+            a: this.promptVersion(this.prompts.rescore),
+            b: this.promptVersion(this.abPrompt),
+            compared,
+            recommendationAgreement: compared > 0 ? recommendationAgreed / compared : null,
+            avgCodeAgreement: compared > 0 ? codeAgreementSum / compared : null,
+            avgConfidenceDelta: compared > 0 ? confidenceDeltaSum / compared : null
+        };
+    }
+
     async processResult(result, originalText = '', videoId = 'unknown') {
         if (!this.shouldProcess(result)) {
             console.log(`🤖 AI processing skipped for ${videoId} - criteria not met`);
@@ -295,55 +935,175 @@ RESPOND WITH JSON ONLY:
         console.log(`🤖 Queuing AI processing for video ${videoId}...`);
         
         try {
-            const prompt = this.generatePrompt(result, originalText);
-            
-            // Add to rate-limited queue
-            const responseText = await this.queue.add(
-                () => this.makeOpenAIRequest(prompt),
-                { videoId, prompt }
-            );
+            const answer = await this.assess(result, originalText, videoId);
+            if (!answer) {
+                return result;
+            }
 
-            const aiResult = this.parseAIResponse(responseText);
-            
-            if (aiResult) {
-                console.log(`🤖 AI assessment for ${videoId}: ${aiResult.confidence.toFixed(2)} confidence`);
-                
-                const enhancedResult = {
-                    ...result,
-                    confidence: aiResult.confidence,
-                    aiEnhanced: true,
-                    aiReasoning: aiResult.reasoning,
-                    aiValidCodes: aiResult.validCodes,
-                    aiRecommendation: aiResult.recommendation,
-                    originalConfidence: result.confidence
-                };
-
-                if (aiResult.validCodes.length > 0) {
-                    enhancedResult.codes = result.codes.filter(code => 
-                        aiResult.validCodes.includes(code)
-                    );
-                }
+            const { aiResult, repairAttempts } = answer;
+            const { grounded, dropped } = this.groundValidCodes(aiResult.validCodes, originalText, result);
 
-                return enhancedResult;
-            } else {
-                throw new Error('Failed to parse AI response');
+            console.log(`🤖 AI assessment for ${videoId}: ${aiResult.confidence.toFixed(2)} confidence`);
+            if (dropped.length > 0) {
+                console.log(`⚠️ Dropped AI codes not found in transcript for ${videoId}: ${dropped.join(', ')}`);
             }
 
+            const enhancedResult = {
+                ...result,
+                confidence: aiResult.confidence,
+                aiEnhanced: true,
+                aiReasoning: aiResult.reasoning,
+                aiValidCodes: grounded,
+                aiDroppedCodes: dropped,
+                aiRecommendation: aiResult.recommendation,
+                aiRepairAttempts: repairAttempts,
+                aiPromptVersion: this.promptVersion(this.prompts.rescore),
+                originalConfidence: result.confidence
+            };
+
+            // Codes the AI didn't confirm are dropped, all of them when it confirmed none
+            enhancedResult.codes = (result.codes || []).filter(code =>
+                grounded.includes(code.toUpperCase())
+            );
+            // Sheet rows are built from promotions, so rejected codes must go there too
+            if (Array.isArray(result.promotions)) {
+                enhancedResult.promotions = result.promotions.filter(promotion =>
+                    enhancedResult.codes.includes(promotion.code)
+                );
+            }
+
+            if (this.abPrompt) {
+                const comparison = await this.runABComparison(result, originalText, videoId, aiResult);
+                if (comparison) enhancedResult.aiAB = comparison;
+            }
+
+            return enhancedResult;
+
         } catch (error) {
             console.log(`⚠️ AI processing failed for ${videoId}:`, error.message);
             
-            // Log failure for later retry
+            // Log failure for later retry; the densest excerpt's prompt is the one retried
             await this.failureTracker.logFailure(
                 videoId, 
-                this.generatePrompt(result, originalText), 
+                (error.prompts && error.prompts[0]) || this.generatePrompt(result, (originalText || '').substring(0, 800)), 
                 error,
-                { confidence: result.confidence, timestamp: Date.now() }
+                {
+                    confidence: result.confidence,
+                    codes: result.codes || [],
+                    promptVersion: this.promptVersion(this.prompts.rescore),
+                    timestamp: Date.now()
+                }
             );
             
             return result; // Return original result on error
         }
     }
 
+    /**
+     * Has the LLM extract offers from the promotion-dense parts of the transcript (the
+     * same excerpts a rescore sees), so codes the regex pipeline missed can be
+     * recovered. Codes not found in the text are dropped.
+     * @returns {Promise<{codes: string[], percent_off: number[], flat_discount: number[], confidence: number, chunks: number, dropped: string[]}|null>}
+     */
+    async extractOffers(originalText, videoId = 'unknown') {
+        if (!this.config.enabled || !originalText) return null;
+
+        const chunks = this.selectPromptChunks({}, originalText);
+        const cacheKey = this.cacheKey(this.prompts.extract, chunks);
+        let extraction = this.config.cache ? await this.cache.get(cacheKey) : null;
+
+        if (extraction) {
+            console.log(`💾 AI extraction cache hit for ${videoId}`);
+        } else {
+            if (await this.isOverBudget()) return null;
+
+            console.log(`🤖 Queuing AI extraction for video ${videoId}...`);
+            extraction = await nlpFallback(originalText, {
+                // Routed through complete() so extraction tokens are counted too
+                llm: { name: this.llm.name, isConfigured: () => this.llm.isConfigured(), complete: request => this.complete(request) },
+                schedule: (fn, metadata) => this.queue.add(() => this.withinBudget(fn), { videoId, ...metadata }),
+                template: this.prompts.extract,
+                chunks
+            });
+            // Partial answers are not cached, so a failed chunk is asked again next run
+            if (this.config.cache && extraction.failedChunks === 0) {
+                await this.cache.set(cacheKey, extraction);
+            }
+        }
+
+        const { grounded, dropped } = this.groundValidCodes(extraction.codes, originalText);
+        if (dropped.length > 0) {
+            console.log(`⚠️ Dropped AI-extracted codes not found in transcript for ${videoId}: ${dropped.join(', ')}`);
+        }
+
+        return { ...extraction, codes: grounded, dropped, promptVersion: this.prompts.extract.id };
+    }
+
+    /**
+     * Merges an extractOffers() result into a regex result. `codeExtractors` records
+     * which extractor found each code ('regex', 'ai' or both); `codeSources` (where
+     * the regex saw a code: captions, description, comment) is kept as is.
+     * `rawText` and `videoMetadata` are what extractFromTranscript scored with.
+     */
+    mergeExtraction(result, extraction, { rawText = '', videoMetadata = {} } = {}) {
+        const codeExtractors = {};
+        for (const code of result.codes || []) {
+            codeExtractors[code] = ['regex'];
+        }
+        if (!extraction) {
+            return { ...result, codeExtractors };
+        }
+
+        const aiOnly = [];
+        for (const code of extraction.codes) {
+            const existing = Object.keys(codeExtractors).find(known => known.toUpperCase() === code);
+            if (existing) {
+                codeExtractors[existing].push('ai');
+            } else {
+                codeExtractors[code] = ['ai'];
+                aiOnly.push(code);
+            }
+        }
+
+        const union = (a = [], b = []) => [...a, ...b.filter(value => !a.includes(value))];
+        const merged = {
+            ...result,
+            codes: [...(result.codes || []), ...aiOnly],
+            percent_off: union(result.percent_off, extraction.percent_off),
+            flat_discount: union(result.flat_discount, extraction.flat_discount),
+            codeConfidence: { ...(result.codeConfidence || {}) },
+            codeExtractors,
+            aiExtracted: true,
+            aiExtractedCodes: extraction.codes,
+            aiExtractionDroppedCodes: extraction.dropped || [],
+            aiExtractionConfidence: extraction.confidence,
+            aiExtractionPromptVersion: extraction.promptVersion
+        };
+
+        // A code the regex missed is only as trusted as the model's own confidence
+        for (const code of aiOnly) {
+            merged.codeConfidence[code] = extraction.confidence;
+        }
+
+        // New codes go through the same scoring as regex ones, breakdown included
+        if (aiOnly.length > 0) {
+            try {
+                merged.scoreDetails = scoreMatchDetailed({
+                    ...merged,
+                    // Normalized like extractFromTranscript, so spoken codes count as present
+                    rawText: normalizeSpokenCodes(rawText).text,
+                    videoMetadata
+                });
+                merged.originalConfidence = result.confidence;
+                merged.confidence = merged.scoreDetails.score;
+            } catch (error) {
+                console.log('⚠️ Error rescoring merged extraction:', error.message);
+            }
+        }
+
+        return merged;
+    }
+
     async processBatch(resultsWithData, batchSize = 10) {
         const processedResults = [];
         
@@ -380,7 +1140,19 @@ RESPOND WITH JSON ONLY:
             totalFailures: failures.length,
             unresolvedFailures: unresolved.length,
             queueLength: this.queue.requests.length,
-            recentRequests: (this.queue.recentRequests || []).length
+            queue: this.queue.getMetrics(),
+            cacheEnabled: this.config.cache,
+            cacheHits: this.cache.hits,
+            cacheMisses: this.cache.misses,
+            cacheEntries: this.config.cache ? await this.cache.size() : 0,
+            promptVersion: this.promptVersion(this.prompts.rescore),
+            ab: this.getABReport(),
+            usage: {
+                run: this.usage.run,
+                total: await this.usage.load(),
+                budget: this.usage.budget,
+                overBudget: this.budgetReason
+            }
         };
     }
 }
@@ -388,5 +1160,8 @@ RESPOND WITH JSON ONLY:
 module.exports = {
     EnhancedAIPostProcessor,
     FailureTracker,
-    RateLimitedQueue
+    RateLimitedQueue,
+    AIResponseCache,
+    UsageTracker,
+    AI_RESPONSE_SCHEMA
 };
\ No newline at end of file
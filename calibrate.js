@@ -0,0 +1,283 @@
+// calibrate.js - Offline calibration of scoreMatch weights and SmartFetch thresholds
+
+const fs = require('fs');
+const path = require('path');
+const { extractFromTranscript } = require('./textExtract');
+const { scoreMatchDetailed, DEFAULT_WEIGHTS } = require('./scoreMatch');
+const { normalizeSpokenCodes } = require('./spokenCodeNormalizer');
+const config = require('./config');
+
+// Thresholds evaluated in reports: 0.05, 0.10, ... 0.95
+const THRESHOLDS = Array.from({ length: 19 }, (_, i) => Math.round((i + 1) * 5) / 100);
+
+// Candidate caps for each score component when fitting
+const WEIGHT_GRID = {
+    code: [0.55, 0.6, 0.65, 0.7, 0.75],
+    sponsor: [0.1, 0.15, 0.2, 0.25],
+    link: [0.05, 0.1, 0.15],
+    coherence: [0.1, 0.15, 0.2]
+};
+
+// Smallest spacing kept between the ai, review and accept thresholds
+const MIN_THRESHOLD_GAP = 0.05;
+
+// Labelled videos with and without codes needed before fit --write touches the config
+const MIN_LABELLED = { positive: 5, negative: 3 };
+
+// Extraction and scoring log every step; keep calibration output readable
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class ScoreCalibrator {
+    constructor(config = {}) {
+        this.transcriptsDir = config.transcriptsDir || path.join(__dirname, 'transcripts');
+        this.labelsFile = config.labelsFile || path.join(this.transcriptsDir, 'labels.json');
+        this.samples = [];
+    }
+
+    // Labels file: { "<videoId>": ["CODE1", "CODE2"], "<videoId>": [] }
+    loadLabels() {
+        const labels = JSON.parse(fs.readFileSync(this.labelsFile, 'utf-8'));
+        if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+            throw new Error(`Labels file ${this.labelsFile} must map video IDs to arrays of codes`);
+        }
+        return labels;
+    }
+
+    // Extract each labelled transcript once; weights are re-applied when scoring
+    async prepare() {
+        const labels = this.loadLabels();
+        this.samples = [];
+
+        for (const [videoId, codes] of Object.entries(labels)) {
+            const transcriptPath = path.join(this.transcriptsDir, `${videoId}.txt`);
+            if (!fs.existsSync(transcriptPath)) {
+                console.log(`⚠️ No transcript for labelled video ${videoId}, skipping`);
+                continue;
+            }
+
+            const text = fs.readFileSync(transcriptPath, 'utf-8');
+            const lines = text.split('\n');
+            const result = await quietly(() => extractFromTranscript(lines));
+
+            this.samples.push({
+                videoId,
+                trueCodes: new Set((Array.isArray(codes) ? codes : []).map(code => String(code).toUpperCase())),
+                scoringInput: {
+                    ...result,
+                    rawText: normalizeSpokenCodes(lines.join(' ').trim()).text
+                }
+            });
+        }
+
+        console.log(`📚 Loaded ${this.samples.length} labelled transcripts`);
+        return this.samples;
+    }
+
+    async scoreSamples(weights) {
+        return quietly(() => this.samples.map(sample => ({
+            sample,
+            score: scoreMatchDetailed({ ...sample.scoringInput, weights }).score
+        })));
+    }
+
+    // Code-level precision/recall: a result's codes count as predicted when its score passes the threshold
+    evaluate(scored, threshold) {
+        let tp = 0;
+        let fp = 0;
+        let fn = 0;
+
+        for (const { sample, score } of scored) {
+            const predicted = score >= threshold ? (sample.scoringInput.codes || []) : [];
+            const predictedSet = new Set(predicted.map(code => code.toUpperCase()));
+
+            for (const code of predictedSet) {
+                if (sample.trueCodes.has(code)) tp++;
+                else fp++;
+            }
+            for (const code of sample.trueCodes) {
+                if (!predictedSet.has(code)) fn++;
+            }
+        }
+
+        const precision = tp + fp === 0 ? 1 : tp / (tp + fp);
+        const recall = tp + fn === 0 ? 1 : tp / (tp + fn);
+        const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+        return { threshold, tp, fp, fn, precision, recall, f1 };
+    }
+
+    async report(weights = DEFAULT_WEIGHTS) {
+        const scored = await this.scoreSamples(weights);
+        return THRESHOLDS.map(threshold => this.evaluate(scored, threshold));
+    }
+
+    // Accept sits in the middle of the best-F1 threshold range for margin; review
+    // and AI sit below it, at least MIN_THRESHOLD_GAP apart even when the range is
+    // a single threshold. With several separate best-F1 ranges the widest one wins
+    // (the lowest on a tie), so the middle never lands in a dip between them.
+    deriveThresholds(rows) {
+        const bestF1 = Math.max(...rows.map(row => row.f1));
+
+        let range = null;
+        let runStart = null;
+        rows.forEach((row, index) => {
+            if (row.f1 !== bestF1) {
+                runStart = null;
+                return;
+            }
+            if (runStart === null) runStart = index;
+            if (!range || index - runStart > range[1] - range[0]) range = [runStart, index];
+        });
+        const low = rows[range[0]].threshold;
+        const high = rows[range[1]].threshold;
+
+        const accept = round(Math.max((low + high) / 2, 2 * MIN_THRESHOLD_GAP));
+        const review = round(Math.min((low + accept) / 2, accept - 2 * MIN_THRESHOLD_GAP));
+        const ai = round((review + accept) / 2);
+        return { accept, review, ai, bestF1, range: [low, high] };
+    }
+
+    // Labelled videos with and without true codes
+    labelCounts() {
+        const positive = this.samples.filter(sample => sample.trueCodes.size > 0).length;
+        return { positive, negative: this.samples.length - positive };
+    }
+
+    // Grid search over component caps: best F1 first, then the smallest change
+    // from the current defaults
+    async fit() {
+        let best = null;
+
+        for (const code of WEIGHT_GRID.code) {
+            for (const sponsor of WEIGHT_GRID.sponsor) {
+                for (const link of WEIGHT_GRID.link) {
+                    for (const coherence of WEIGHT_GRID.coherence) {
+                        const weights = { code, sponsor, link, coherence };
+                        const rows = await this.report(weights);
+                        const thresholds = this.deriveThresholds(rows);
+                        const drift = Object.keys(weights)
+                            .reduce((sum, key) => sum + Math.abs(weights[key] - DEFAULT_WEIGHTS[key]), 0);
+
+                        const candidate = { weights, thresholds, rows, drift };
+                        if (!best ||
+                            thresholds.bestF1 > best.thresholds.bestF1 ||
+                            (thresholds.bestF1 === best.thresholds.bestF1 && drift < best.drift)) {
+                            best = candidate;
+                        }
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    // Merge into the existing smartfetch-config.json only, so defaults and
+    // environment values (API keys) are not copied into the file
+    writeConfig({ weights, thresholds }) {
+        let existing = {};
+        if (fs.existsSync(config.configPath)) {
+            existing = JSON.parse(fs.readFileSync(config.configPath, 'utf-8'));
+        }
+
+        config.saveConfig(config.mergeDeep(existing, {
+            scoring: {
+                weights,
+                thresholds: {
+                    accept: thresholds.accept,
+                    review: thresholds.review,
+                    ai: thresholds.ai
+                }
+            }
+        }));
+    }
+}
+
+function printReport(rows) {
+    console.log('\n   Threshold  Precision  Recall     F1      TP  FP  FN');
+    for (const row of rows) {
+        console.log(`   ${row.threshold.toFixed(2).padEnd(11)}${row.precision.toFixed(3).padEnd(11)}${row.recall.toFixed(3).padEnd(11)}${row.f1.toFixed(3).padEnd(8)}${String(row.tp).padEnd(4)}${String(row.fp).padEnd(4)}${row.fn}`);
+    }
+}
+
+// CLI interface
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+
+    const calibrator = new ScoreCalibrator({
+        transcriptsDir: option('--transcripts'),
+        labelsFile: option('--labels')
+    });
+
+    switch (command) {
+        case 'report': {
+            await calibrator.prepare();
+            const weights = config.loadConfig().scoring?.weights || DEFAULT_WEIGHTS;
+            console.log(`\n📊 Precision/recall with current weights ${JSON.stringify(weights)}:`);
+            printReport(await calibrator.report(weights));
+            break;
+        }
+
+        case 'fit': {
+            await calibrator.prepare();
+            if (calibrator.samples.length === 0) {
+                console.log('❌ No labelled transcripts to fit against');
+                return;
+            }
+
+            const best = await calibrator.fit();
+            console.log(`\n🎯 Best weights: ${JSON.stringify(best.weights)}`);
+            console.log(`   Best F1 ${best.thresholds.bestF1.toFixed(3)} for thresholds ${best.thresholds.range[0].toFixed(2)}-${best.thresholds.range[1].toFixed(2)}`);
+            console.log(`   Thresholds: accept ${best.thresholds.accept}, review ${best.thresholds.review}, ai ${best.thresholds.ai}`);
+            printReport(best.rows);
+
+            const counts = calibrator.labelCounts();
+            if (args.includes('--write') &&
+                (counts.positive < MIN_LABELLED.positive || counts.negative < MIN_LABELLED.negative)) {
+                console.log(`\n❌ Not writing config: ${counts.positive} labelled videos with codes and ${counts.negative} without, need at least ${MIN_LABELLED.positive} and ${MIN_LABELLED.negative}`);
+            } else if (args.includes('--write')) {
+                calibrator.writeConfig(best);
+            } else {
+                console.log('\n💡 Run with --write to save these to smartfetch-config.json');
+            }
+            break;
+        }
+
+        default:
+            console.log(`
+Usage: node calibrate.js <command> [options]
+
+Commands:
+  report                 Precision/recall per threshold with the configured weights
+  fit [--write]          Fit weights and thresholds; --write saves them to smartfetch-config.json
+
+Options:
+  --transcripts DIR      Transcript folder (default: transcripts/)
+  --labels FILE          JSON of true codes per video ID (default: transcripts/labels.json)
+
+Examples:
+  node calibrate.js report
+  node calibrate.js fit
+  node calibrate.js fit --write --labels my-labels.json
+            `);
+    }
+}
+
+// Export for use as module
+module.exports = { ScoreCalibrator, THRESHOLDS, WEIGHT_GRID, MIN_THRESHOLD_GAP, MIN_LABELLED };
+
+// Run CLI if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
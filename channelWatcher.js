@@ -0,0 +1,209 @@
+// channelWatcher.js - Watch channels for new uploads and process only those
+//
+// Per channel, channel-watch-state.json keeps the newest processed upload and the
+// IDs of recent ones, so a restart picks up where the last run stopped:
+//   { "UC…": { lastVideoId, lastPublishedAt, lastCheckedAt, recentVideoIds: [], processed } }
+
+const fs = require('fs').promises;
+const config = require('./config');
+const { isQuotaError } = require('./youtubeClient');
+
+const WATCH_SETTINGS = config.loadConfig().watch || {};
+
+// Uploads that share the newest timestamp are told apart by ID; this many are kept
+const RECENT_IDS_KEPT = 50;
+
+class ChannelWatcher {
+    constructor(config = {}) {
+        this.config = {
+            stateFile: config.stateFile || WATCH_SETTINGS.stateFile || 'channel-watch-state.json',
+            intervalMinutes: config.intervalMinutes || WATCH_SETTINGS.intervalMinutes || 60,
+            // Uploads taken from a channel seen for the first time
+            maxResults: config.maxResults || WATCH_SETTINGS.maxResults || 10
+        };
+
+        // Defaults are the YouTube helpers in index.js, loaded on first use
+        this.fetchVideos = config.fetchVideos || ((...args) => require('./index').fetchChannelVideoItems(...args));
+        this.processVideo = config.processVideo || (videoId => require('./index').fetchVideoDetails(videoId));
+
+        this.state = null;
+        this.running = false;
+        this.wakeUp = null;
+        this.stats = { checks: 0, newVideos: 0, errors: 0 };
+    }
+
+    async loadState() {
+        if (this.state) return this.state;
+
+        try {
+            this.state = JSON.parse(await fs.readFile(this.config.stateFile, 'utf8'));
+        } catch (err) {
+            // No state yet (or unreadable): every channel starts from its latest uploads
+            this.state = {};
+        }
+        return this.state;
+    }
+
+    async saveState() {
+        try {
+            // Write then rename, so an interrupted run can't leave half a file behind
+            const tempFile = `${this.config.stateFile}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(this.state, null, 2));
+            await fs.rename(tempFile, this.config.stateFile);
+        } catch (err) {
+            console.error(`❌ Failed to write ${this.config.stateFile}:`, err.message);
+        }
+    }
+
+    async channelState(channelId) {
+        const state = await this.loadState();
+        if (!state[channelId]) {
+            state[channelId] = { lastVideoId: null, lastPublishedAt: null, lastCheckedAt: null, recentVideoIds: [], processed: 0 };
+        }
+        return state[channelId];
+    }
+
+    /**
+     * Processes uploads of `channelId` not seen before, oldest first. State is saved
+     * after every video, so an interrupted check doesn't redo finished ones.
+     * @throws {Error} with code 'QUOTA_EXCEEDED' when the uploads can't be listed;
+     *   the channel's state is left as it was.
+     * @returns {Promise<object[]>} Results of the new videos that produced one.
+     */
+    async checkChannel(channelId) {
+        const state = await this.channelState(channelId);
+        this.stats.checks++;
+
+        // A new channel starts from its latest maxResults uploads. A known one gets every
+        // upload since the last processed one (uploads paging stops at publishedAfter),
+        // so a burst of uploads between checks isn't cut short
+        const maxResults = state.lastPublishedAt ? Infinity : this.config.maxResults;
+        const items = await this.fetchVideos(channelId, maxResults, {
+            publishedAfter: state.lastPublishedAt || undefined
+        });
+
+        const seen = new Set(state.recentVideoIds);
+        const since = state.lastPublishedAt ? Date.parse(state.lastPublishedAt) : 0;
+        const fresh = items
+            .filter(item => !seen.has(item.videoId) && Date.parse(item.publishedAt) >= since)
+            .sort((a, b) => Date.parse(a.publishedAt) - Date.parse(b.publishedAt));
+
+        state.lastCheckedAt = new Date().toISOString();
+        if (fresh.length === 0) {
+            console.log(`💤 No new uploads on ${channelId}`);
+            await this.saveState();
+            return [];
+        }
+
+        console.log(`🆕 ${fresh.length} new upload(s) on ${channelId}`);
+        const results = [];
+        for (const item of fresh) {
+            try {
+                console.log(`\n🎯 Processing video: ${item.videoId} (${item.publishedAt})`);
+                const result = await this.processVideo(item.videoId);
+                if (result) results.push(result);
+            } catch (error) {
+                // Out of YouTube quota: leave this and later uploads unseen for the next check
+                if (isQuotaError(error)) {
+                    console.error(`❌ ${error.message}`);
+                    break;
+                }
+                // Marked seen anyway; AI failures are already in the retry job store
+                this.stats.errors++;
+                console.error(`❌ Error processing ${item.videoId}:`, error.message);
+            }
+
+            state.lastVideoId = item.videoId;
+            state.lastPublishedAt = item.publishedAt;
+            state.recentVideoIds = [item.videoId, ...state.recentVideoIds].slice(0, RECENT_IDS_KEPT);
+            state.processed++;
+            this.stats.newVideos++;
+            await this.saveState();
+        }
+
+        return results;
+    }
+
+    // One pass over every channel
+    async checkAll(channels) {
+        const results = [];
+        for (const channel of this.normalizeChannels(channels)) {
+            try {
+                results.push(...await this.checkChannel(channel.id));
+            } catch (error) {
+                this.stats.errors++;
+                console.error(`❌ Error checking channel ${channel.id}:`, error.message);
+                // Out of quota: the remaining channels would fail the same way
+                if (isQuotaError(error)) break;
+            }
+        }
+        return results;
+    }
+
+    // Accepts IDs or { id, intervalMinutes }
+    normalizeChannels(channels) {
+        return channels.map(channel => (typeof channel === 'string'
+            ? { id: channel, intervalMinutes: this.config.intervalMinutes }
+            : { ...channel, intervalMinutes: channel.intervalMinutes || this.config.intervalMinutes }));
+    }
+
+    /**
+     * Checks each channel on its own interval until stop() is called. Checks run one
+     * at a time; a channel checked recently (per the saved state) waits out the rest
+     * of its interval after a restart.
+     * @param {(string|{id: string, intervalMinutes?: number})[]} channels
+     */
+    async watch(channels) {
+        await this.loadState();
+        const schedule = this.normalizeChannels(channels).map(channel => {
+            const lastChecked = this.state[channel.id]?.lastCheckedAt;
+            const nextCheck = lastChecked ? Date.parse(lastChecked) + channel.intervalMinutes * 60 * 1000 : Date.now();
+            return { ...channel, nextCheck };
+        });
+        if (schedule.length === 0) {
+            console.log('⚠️ No channels to watch');
+            return;
+        }
+
+        this.running = true;
+        console.log(`👀 Watching ${schedule.length} channel(s): ${schedule.map(c => `${c.id} every ${c.intervalMinutes}m`).join(', ')}`);
+
+        while (this.running) {
+            schedule.sort((a, b) => a.nextCheck - b.nextCheck);
+            const next = schedule[0];
+            const wait = next.nextCheck - Date.now();
+
+            if (wait > 0) {
+                console.log(`⏳ Next check: ${next.id} at ${new Date(next.nextCheck).toLocaleTimeString()}`);
+                await this.sleep(wait);
+                continue;
+            }
+
+            try {
+                await this.checkChannel(next.id);
+            } catch (error) {
+                this.stats.errors++;
+                console.error(`❌ Error checking channel ${next.id}:`, error.message);
+            }
+            next.nextCheck = Date.now() + next.intervalMinutes * 60 * 1000;
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.wakeUp = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    // Ends watch() once the check in progress (if any) finishes
+    stop() {
+        this.running = false;
+        if (this.wakeUp) this.wakeUp();
+    }
+}
+
+module.exports = { ChannelWatcher };
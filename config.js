@@ -9,13 +9,76 @@ class ConfigManager {
         this.defaultConfig = {
             youtube: {
                 apiKey: process.env.YOUTUBE_API_KEY || '',
+                // Daily Data API units (YouTube's default); calls past it are refused
                 quotaLimit: 10000,
-                requestDelay: 100
+                // Minimum ms between Data API calls
+                requestDelay: 100,
+                // Units used per day (Pacific time), see youtubeClient.js
+                quotaFile: 'youtube-quota.json'
             },
             extraction: {
                 confidenceThreshold: 0.6,
                 enableNLPFallback: true,
-                maxTextLength: 50000
+                maxTextLength: 50000,
+                // 'fallback' = captions or description, 'combined' = captions + description + creator comment
+                sourceMode: 'fallback',
+                // Extractor rule overrides, see extractorRegistry.js
+                extractors: {
+                    disabled: [],
+                    rules: {}
+                },
+                // Extra sponsor brands, see sponsorDetector.js:
+                // { "Brand": { "aliases": ["brand"], "domains": ["brand.com"] } }
+                sponsors: {
+                    brands: {}
+                }
+            },
+            // Score component caps and SmartFetch thresholds; fit with `npm run calibrate`
+            scoring: {
+                weights: {
+                    code: 0.65,
+                    sponsor: 0.2,
+                    link: 0.1,
+                    coherence: 0.15
+                },
+                thresholds: {
+                    accept: 0.6,
+                    review: 0.3,
+                    ai: 0.4
+                }
+            },
+            // AI spend accounting: USD per 1M tokens, matched by model-name prefix
+            // (models not listed, e.g. local ones, cost 0), and optional USD caps
+            // after which SmartFetch falls back to regex-only
+            ai: {
+                pricing: {
+                    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+                    'gpt-35-turbo': { input: 0.5, output: 1.5 },
+                    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+                    'gpt-4o': { input: 2.5, output: 10 },
+                    'claude-3-5-haiku': { input: 0.8, output: 4 },
+                    'claude-3-5-sonnet': { input: 3, output: 15 }
+                },
+                budget: {
+                    perRun: null,
+                    total: null
+                },
+                usageFile: 'ai-usage.json',
+                // Template versions from prompts/<name>-<version>.txt
+                prompts: {
+                    system: 'v1',
+                    rescore: 'v1',
+                    repair: 'v1',
+                    extract: 'v1'
+                }
+            },
+            // `smartfetch watch`: state file, default check interval and uploads taken from
+            // a new channel; channels are IDs or { "id": "UC…", "intervalMinutes": 30 }
+            watch: {
+                stateFile: 'channel-watch-state.json',
+                intervalMinutes: 60,
+                maxResults: 10,
+                channels: []
             },
             linkDomains: {
                 whitelist: [],
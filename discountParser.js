@@ -0,0 +1,231 @@
+// discountParser.js - Typed offer parsing (percentages, flat amounts, BOGO, free shipping, free periods)
+
+const NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19,
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+// Currency symbols and words mapped to ISO codes
+const CURRENCIES = {
+    '$': 'USD', 'us$': 'USD', 'usd': 'USD', 'dollar': 'USD', 'dollars': 'USD', 'bucks': 'USD',
+    '€': 'EUR', 'eur': 'EUR', 'euro': 'EUR', 'euros': 'EUR',
+    '£': 'GBP', 'gbp': 'GBP', 'pound': 'GBP', 'pounds': 'GBP',
+    '₹': 'INR', 'inr': 'INR', 'rs': 'INR', 'rs.': 'INR', 'rupee': 'INR', 'rupees': 'INR'
+};
+
+const OFFER_KINDS = {
+    PERCENT_OFF: 'percent_off',
+    FLAT_DISCOUNT: 'flat_discount',
+    BOGO: 'bogo',
+    FREE_SHIPPING: 'free_shipping',
+    FREE_PERIOD: 'free_period'
+};
+
+const WORD_NUMBER = `(?:${Object.keys(NUMBER_WORDS).join('|')})(?:[\\s-](?:${Object.keys(NUMBER_WORDS).join('|')}))?(?:\\s+hundred)?`;
+const DIGIT_NUMBER = '\\d{1,3}(?:[.,]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+const NUMBER = `(?:${DIGIT_NUMBER}|${WORD_NUMBER})`;
+const CURRENCY_PREFIX = '(?:US\\$|\\$|€|£|₹|Rs\\.?|USD|EUR|GBP|INR)';
+const CURRENCY_SUFFIX = '(?:\\$|€|£|₹|dollars?|bucks|euros?|pounds?|rupees?|USD|EUR|GBP|INR)';
+const DISCOUNT_WORD = '(?:off|discount|cashback|savings?)';
+
+const PATTERNS = {
+    // "20% off", "twenty percent off", "up to 60%", "up to sixty percent off"
+    percent: new RegExp(`(up\\s+to\\s+)?\\b(${NUMBER})\\s*(?:%|percent\\b|per\\s+cent\\b)(?:\\s*${DISCOUNT_WORD}\\b)?`, 'gi'),
+    // "half off", "half price"
+    half: /\bhalf[\s-](?:off|price)\b/gi,
+    // "$20 off", "€12,50 discount", "save $1,000"
+    flatPrefix: new RegExp(`(?:(up\\s+to\\s+)|(save\\s+))?(${CURRENCY_PREFIX})\\s?(${DIGIT_NUMBER})(?:\\s*${DISCOUNT_WORD}\\b)?`, 'gi'),
+    // "20€ off", "fifty dollars off", "1.000,50 EUR discount"
+    flatSuffix: new RegExp(`(up\\s+to\\s+)?\\b(${NUMBER})\\s?(${CURRENCY_SUFFIX})(?:\\s+|\\b)${DISCOUNT_WORD}\\b`, 'gi'),
+    // "buy one get one free", "BOGO", "buy 1 get 1"
+    bogo: /\b(?:bogo|buy\s+(?:one|1),?\s+get\s+(?:one|1)(?:\s+(free|half\s+off|(\d{1,3})%\s*off))?)\b/gi,
+    // "free shipping", "free delivery"
+    freeShipping: /\bfree\s+(?:shipping|delivery)\b/gi,
+    // "first month free", "your first box free", "3 months free", "30-day free trial"
+    freePeriod: new RegExp(`\\b(?:(?:your\\s+|the\\s+)?first\\s+(month|week|year|box|order)\\s+(?:is\\s+|for\\s+)?free|(${NUMBER})[\\s-](month|week|day|year)s?\\s+(?:of\\s+\\w+\\s+)?(?:free|for\\s+free)(?:\\s+trial)?)\\b`, 'gi')
+};
+
+// Phrases after an offer that qualify it, checked within CONDITION_WINDOW characters
+const CONDITION_PATTERNS = [
+    { condition: 'first_order', pattern: /\b(?:first|1st)\s+(?:order|purchase|box|month|deposit)\b/i },
+    { condition: 'new_customers', pattern: /\bnew\s+(?:users?|customers?|members?|subscribers?)\b/i },
+    { condition: 'annual_plan', pattern: /\b(?:annual|yearly|12[\s-]month)\s+(?:plan|subscription|membership)\b/i },
+    { condition: 'limited_time', pattern: /\b(?:limited\s+time|today\s+only|ends\s+(?:soon|today|tonight))\b/i },
+    { condition: 'min_spend', pattern: /\b(?:orders?|purchases?|spend(?:ing)?)\s+(?:over|above|of)\s+(?:\$|€|£|₹)?\d/i }
+];
+const CONDITION_WINDOW = 60;
+
+// "twenty five" -> 25, "one hundred" -> 100; returns NaN for unknown words
+function wordsToNumber(words) {
+    const parts = words.toLowerCase().split(/[\s-]+/).filter(Boolean);
+    let total = 0;
+    for (const part of parts) {
+        if (part === 'hundred') {
+            total = (total || 1) * 100;
+        } else if (part in NUMBER_WORDS) {
+            total += NUMBER_WORDS[part];
+        } else {
+            return NaN;
+        }
+    }
+    return parts.length > 0 ? total : NaN;
+}
+
+/**
+ * Parses an amount with either thousands separators or a decimal comma.
+ * "1,000" -> 1000, "12,50" -> 12.5, "1.000,50" -> 1000.5
+ * @param {string} raw Digits with optional separators, or number words.
+ * @returns {number} Parsed value or NaN.
+ */
+function parseAmount(raw) {
+    if (!raw || typeof raw !== 'string') return NaN;
+    const value = raw.trim();
+
+    if (!/\d/.test(value)) return wordsToNumber(value);
+
+    const compact = value.replace(/\s/g, '');
+    const lastComma = compact.lastIndexOf(',');
+    const lastDot = compact.lastIndexOf('.');
+    const decimalSeparator = (() => {
+        const last = Math.max(lastComma, lastDot);
+        if (last === -1) return null;
+        // A separator followed by exactly three digits is a thousands separator
+        const digitsAfter = compact.length - last - 1;
+        return digitsAfter === 3 ? null : compact[last];
+    })();
+
+    let normalized = compact;
+    if (decimalSeparator) {
+        const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+        normalized = normalized.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+    } else {
+        normalized = normalized.replace(/[.,]/g, '');
+    }
+
+    return parseFloat(normalized);
+}
+
+function parseCurrency(raw) {
+    if (!raw) return null;
+    return CURRENCIES[raw.trim().toLowerCase()] || null;
+}
+
+function findConditions(text, end) {
+    const window = text.slice(end, end + CONDITION_WINDOW);
+    return CONDITION_PATTERNS
+        .filter(({ pattern }) => pattern.test(window))
+        .map(({ condition }) => condition);
+}
+
+function overlaps(spans, start, end) {
+    return spans.some(span => start < span.end && end > span.start);
+}
+
+/**
+ * Finds typed offers in text.
+ * @param {string} text Text to scan.
+ * @returns {Array<{kind: string, value: number|null, currency: string|null, conditions: string[], match: string, start: number, end: number}>}
+ */
+function parseDiscounts(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const offers = [];
+    const spans = { percent: [], flat: [] };
+
+    const addOffer = (kind, match, fields = {}, spanGroup = null) => {
+        const start = match.index;
+        const end = match.index + match[0].length;
+        if (spanGroup) {
+            if (overlaps(spans[spanGroup], start, end)) return;
+            spans[spanGroup].push({ start, end });
+        }
+
+        const conditions = [...(fields.conditions || []), ...findConditions(text, end)];
+        offers.push({
+            kind,
+            value: fields.value ?? null,
+            currency: fields.currency ?? null,
+            conditions: [...new Set(conditions)],
+            ...(fields.unit ? { unit: fields.unit } : {}),
+            match: match[0],
+            start,
+            end
+        });
+    };
+
+    for (const match of text.matchAll(PATTERNS.half)) {
+        addOffer(OFFER_KINDS.PERCENT_OFF, match, { value: 50 }, 'percent');
+    }
+
+    for (const match of text.matchAll(PATTERNS.percent)) {
+        const value = parseAmount(match[2]);
+        if (isNaN(value) || value <= 0 || value > 100) continue;
+        // Bare "N%" without "off"/"up to" is usually not an offer ("100% cotton")
+        const isDiscount = Boolean(match[1]) || /\b(?:off|discount|cashback|savings?)$/i.test(match[0]);
+        if (!isDiscount) continue;
+        addOffer(OFFER_KINDS.PERCENT_OFF, match, {
+            value,
+            conditions: match[1] ? ['up_to'] : []
+        }, 'percent');
+    }
+
+    for (const match of text.matchAll(PATTERNS.flatPrefix)) {
+        const value = parseAmount(match[4]);
+        if (isNaN(value) || value <= 0) continue;
+        // "$20" alone is a price; require "off"/"discount" or a leading "save"/"up to"
+        const isDiscount = Boolean(match[1] || match[2]) || /\b(?:off|discount|cashback|savings?)$/i.test(match[0]);
+        if (!isDiscount) continue;
+        addOffer(OFFER_KINDS.FLAT_DISCOUNT, match, {
+            value,
+            currency: parseCurrency(match[3]),
+            conditions: match[1] ? ['up_to'] : []
+        }, 'flat');
+    }
+
+    for (const match of text.matchAll(PATTERNS.flatSuffix)) {
+        const value = parseAmount(match[2]);
+        if (isNaN(value) || value <= 0) continue;
+        addOffer(OFFER_KINDS.FLAT_DISCOUNT, match, {
+            value,
+            currency: parseCurrency(match[3]),
+            conditions: match[1] ? ['up_to'] : []
+        }, 'flat');
+    }
+
+    for (const match of text.matchAll(PATTERNS.bogo)) {
+        // "buy one get one 50% off" -> value 50; plain BOGO is a free second item (100)
+        const value = match[2] ? parseInt(match[2], 10) : (/half/i.test(match[1] || '') ? 50 : 100);
+        addOffer(OFFER_KINDS.BOGO, match, { value });
+    }
+
+    for (const match of text.matchAll(PATTERNS.freeShipping)) {
+        addOffer(OFFER_KINDS.FREE_SHIPPING, match);
+    }
+
+    for (const match of text.matchAll(PATTERNS.freePeriod)) {
+        if (match[1]) {
+            const unit = match[1].toLowerCase();
+            addOffer(OFFER_KINDS.FREE_PERIOD, match, {
+                value: 1,
+                unit,
+                conditions: ['first_order']
+            });
+        } else {
+            const value = parseAmount(match[2]);
+            if (isNaN(value) || value <= 0) continue;
+            addOffer(OFFER_KINDS.FREE_PERIOD, match, { value, unit: match[3].toLowerCase() });
+        }
+    }
+
+    return offers.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    parseDiscounts,
+    parseAmount,
+    wordsToNumber,
+    OFFER_KINDS,
+    CURRENCIES
+};
@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const fetchTranscript = require('./fetchTranscript');
+const { segmentsToLines } = require('./fetchTranscript');
+const { isQuotaError } = require('./youtubeClient');
 
 // --- Configuration ---
 // Add the YouTube video URLs you want to download transcripts for.
@@ -45,20 +47,22 @@ function extractVideoIdFromUrl(url) {
 
 /**
  * Main function to download and save transcripts.
+ * @param {string[]} [videoUrls] Video URLs or IDs (default: VIDEO_URLS above).
+ * @param {string} [outputDir] Where the .txt files go (default: transcripts/).
  */
-async function downloadAllTranscripts() {
-  console.log(`🚀 Starting transcript download process for ${VIDEO_URLS.length} videos...`);
+async function downloadAllTranscripts(videoUrls = VIDEO_URLS, outputDir = OUTPUT_DIR) {
+  console.log(`🚀 Starting transcript download process for ${videoUrls.length} videos...`);
 
   try {
     // 1. Ensure the output directory exists
-    await fs.mkdir(OUTPUT_DIR, { recursive: true });
-    console.log(`📁 Saving transcripts to: ${OUTPUT_DIR}`);
+    await fs.mkdir(outputDir, { recursive: true });
+    console.log(`📁 Saving transcripts to: ${outputDir}`);
 
     let successCount = 0;
     let errorCount = 0;
 
     // 2. Loop through each video URL and fetch the transcript
-    for (const videoUrl of VIDEO_URLS) {
+    for (const videoUrl of videoUrls) {
       const videoId = extractVideoIdFromUrl(videoUrl);
       if (!videoId) {
           console.warn(`⚠️ Could not extract video ID from URL: ${videoUrl}. Skipping.`);
@@ -66,14 +70,15 @@ async function downloadAllTranscripts() {
           continue;
       }
         
-      const filePath = path.join(OUTPUT_DIR, `${videoId}.txt`);
+      const filePath = path.join(outputDir, `${videoId}.txt`);
 
       try {
-        console.log(`[${successCount + errorCount + 1}/${VIDEO_URLS.length}] Fetching transcript for video ID: ${videoId}`);
-        const transcriptLines = await fetchTranscript(videoId); // Using your existing function
+        console.log(`[${successCount + errorCount + 1}/${videoUrls.length}] Fetching transcript for video ID: ${videoId}`);
+        const segments = await fetchTranscript(videoId); // Using your existing function
 
-        if (transcriptLines && transcriptLines.length > 0) {
-          const transcriptText = transcriptLines.join('\n');
+        if (segments && segments.length > 0) {
+          // Saved transcripts stay plain text, one segment per line
+          const transcriptText = segmentsToLines(segments).join('\n');
           await fs.writeFile(filePath, transcriptText, 'utf-8');
           console.log(`✅ Successfully saved transcript for ${videoId}`);
           successCount++;
@@ -84,6 +89,8 @@ async function downloadAllTranscripts() {
       } catch (error) {
         console.error(`❌ Failed to process video ${videoId}: ${error.message}`);
         errorCount++;
+        // Out of YouTube quota: the remaining videos would fail the same way
+        if (isQuotaError(error)) break;
       }
     }
 
@@ -97,5 +104,9 @@ async function downloadAllTranscripts() {
   }
 }
 
+module.exports = { downloadAllTranscripts, extractVideoIdFromUrl };
+
 // Run the main function
-downloadAllTranscripts();
\ No newline at end of file
+if (require.main === module) {
+  downloadAllTranscripts();
+}
@@ -0,0 +1,242 @@
+// extractorRegistry.js - Named, configurable code extraction rules
+
+const config = require('./config');
+
+// Confidence assigned to codes by each tier
+const CONFIDENCE_TIERS = {
+    high: 0.9,
+    medium: 0.6,
+    low: 0.3
+};
+
+// Tiers are applied in this order; later tiers never override earlier ones
+const TIER_ORDER = ['high', 'medium', 'low'];
+
+// Loose context rules only accept tokens written like a code (uppercase or
+// containing a digit), so "get into the ranked match" doesn't yield RANKED
+function writtenAsCode(code, match) {
+    const written = match[1] || '';
+    return /\d/.test(written) || written === written.toUpperCase();
+}
+
+// Built-in rules (previously hard-coded in textExtract.extractCodes).
+// Labeled rules skip a trigger word in the code slot, so "promo code HIKEBRO20"
+// yields HIKEBRO20 rather than stopping at CODE.
+const DEFAULT_RULES = {
+    // High-confidence patterns (more specific context)
+
+    // "Use code SAVE20 for..." or "Enter WELCOME15 at..."
+    actionable: {
+        tier: 'high',
+        pattern: /(?:use|enter|apply|redeem|type|input)\s+(?:code|promo|coupon)?[\s:\-"']*(?!(?:code|promo|coupon|discount)\b)([A-Z0-9]{3,12})\b/gi
+    },
+    // "Code: SAVE20" or "Promo: WELCOME15"
+    labeled: {
+        tier: 'high',
+        pattern: /(?:code|promo|coupon|discount)[\s:\-=]+(?!(?:code|promo|coupon|discount)\b)([A-Z0-9]{3,12})\b/gi
+    },
+    // Quoted codes "SAVE20" or 'WELCOME15'
+    quoted: {
+        tier: 'high',
+        pattern: /["']([A-Z0-9]{4,10})["']/g
+    },
+    // Checkout context: "checkout with SAVE20"
+    checkout: {
+        tier: 'high',
+        pattern: /checkout[\s\w]*(?:with|using|code)[\s:\-]*([A-Z0-9]{3,12})\b/gi
+    },
+
+    // Medium-confidence patterns
+
+    // Get/Save patterns: "get SAVE20" or "save with WELCOME15"
+    getSave: {
+        tier: 'medium',
+        pattern: /(?:get|save|grab|claim)[\s\w]{0,10}\b([A-Z0-9]{4,10})\b/gi,
+        validator: writtenAsCode
+    },
+    // Percentage tied to code: "SAVE20 for 20% off"
+    percentTied: {
+        tier: 'medium',
+        pattern: /\b([A-Z0-9]{4,10})\s+(?:for|gives?|gets?)[\s\w]*\d+%/gi
+    },
+    // Legacy coupon/promo patterns
+    coupon: {
+        tier: 'medium',
+        pattern: /coupon[\s:\-]*(?!(?:code|promo|coupon|discount)\b)([A-Z0-9]{3,15})/gi
+    },
+    promo: {
+        tier: 'medium',
+        pattern: /promo(?:code)?[\s:\-=]*(?!(?:code|promo|coupon|discount)\b)([A-Z0-9]{3,15})/gi
+    },
+
+    // Low-confidence fallback (restrictive)
+
+    // Only strong alphanumeric patterns in promotional contexts
+    contextual: {
+        tier: 'low',
+        pattern: /(?:discount|deal|offer|save|promo|special)[\s\w]{0,20}\b([A-Z0-9]{4,10})\b/gi,
+        validator: writtenAsCode
+    },
+    // Standalone alphanumeric (very restrictive)
+    standalone: {
+        tier: 'low',
+        pattern: /\b(?=.*[A-Z])(?=.*[0-9])[A-Z0-9]{5,10}\b(?!\d)/g
+    }
+};
+
+class ExtractorRegistry {
+    constructor(options = {}) {
+        this.rules = new Map();
+
+        if (options.includeDefaults !== false) {
+            for (const [name, rule] of Object.entries(DEFAULT_RULES)) {
+                this.register(name, { ...rule, source: 'builtin' });
+            }
+        }
+
+        if (options.config) {
+            this.applyConfig(options.config);
+        }
+    }
+
+    // Normalize a rule definition; patterns may be RegExp or string (from JSON config)
+    normalizeRule(name, rule) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`Extractor rule "${name}" must be an object`);
+        }
+
+        let pattern = rule.pattern;
+        if (typeof pattern === 'string') {
+            pattern = new RegExp(pattern, rule.flags || 'gi');
+        }
+        if (!(pattern instanceof RegExp)) {
+            throw new Error(`Extractor rule "${name}" is missing a valid pattern`);
+        }
+        // matchAll requires the global flag
+        if (!pattern.global) {
+            pattern = new RegExp(pattern.source, pattern.flags + 'g');
+        }
+
+        const tier = rule.tier || 'medium';
+        if (!CONFIDENCE_TIERS[tier]) {
+            throw new Error(`Extractor rule "${name}" has unknown tier "${tier}" (expected ${TIER_ORDER.join('/')})`);
+        }
+
+        if (rule.validator != null && typeof rule.validator !== 'function') {
+            throw new Error(`Extractor rule "${name}" validator must be a function`);
+        }
+
+        return {
+            name,
+            pattern,
+            tier,
+            group: typeof rule.group === 'number' ? rule.group : 1,
+            validator: rule.validator || null,
+            source: rule.source || 'runtime',
+            enabled: rule.enabled !== false
+        };
+    }
+
+    register(name, rule) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Extractor rule name must be a non-empty string');
+        }
+        const normalized = this.normalizeRule(name, rule);
+        this.rules.set(name, normalized);
+        return normalized;
+    }
+
+    // Merge changes into an existing rule, or register it if it doesn't exist yet
+    override(name, changes = {}) {
+        const existing = this.rules.get(name);
+        if (!existing) {
+            return this.register(name, changes);
+        }
+
+        const merged = { ...existing, source: 'runtime', ...changes };
+        // A string pattern without explicit flags keeps the existing rule's flags
+        if (typeof changes.pattern === 'string' && !changes.flags) {
+            merged.flags = existing.pattern.flags;
+        }
+        return this.register(name, merged);
+    }
+
+    unregister(name) {
+        return this.rules.delete(name);
+    }
+
+    disable(name) {
+        const rule = this.rules.get(name);
+        if (!rule) return false;
+        rule.enabled = false;
+        return true;
+    }
+
+    enable(name) {
+        const rule = this.rules.get(name);
+        if (!rule) return false;
+        rule.enabled = true;
+        return true;
+    }
+
+    get(name) {
+        return this.rules.get(name) || null;
+    }
+
+    // Enabled rules for a tier, in registration order
+    getRules(tier) {
+        return Array.from(this.rules.values())
+            .filter(rule => rule.enabled && (!tier || rule.tier === tier));
+    }
+
+    list() {
+        return Array.from(this.rules.values()).map(rule => ({
+            name: rule.name,
+            tier: rule.tier,
+            source: rule.source,
+            enabled: rule.enabled,
+            pattern: rule.pattern.toString()
+        }));
+    }
+
+    // Apply the `extraction.extractors` section of smartfetch-config.json:
+    // { "disabled": ["standalone"], "rules": { "name": { "pattern": "...", "flags": "gi", "tier": "high" } } }
+    applyConfig(extractorConfig = {}) {
+        if (!extractorConfig || typeof extractorConfig !== 'object') return;
+
+        const rules = extractorConfig.rules || {};
+        for (const [name, rule] of Object.entries(rules)) {
+            try {
+                this.override(name, { source: 'config', ...rule });
+            } catch (error) {
+                console.warn(`⚠️ Skipping extractor rule "${name}" from config: ${error.message}`);
+            }
+        }
+
+        const disabled = Array.isArray(extractorConfig.disabled) ? extractorConfig.disabled : [];
+        for (const name of disabled) {
+            if (!this.disable(name)) {
+                console.warn(`⚠️ Cannot disable unknown extractor rule "${name}"`);
+            }
+        }
+    }
+
+    // Restore the built-in rule set, dropping runtime and config changes
+    reset() {
+        this.rules.clear();
+        for (const [name, rule] of Object.entries(DEFAULT_RULES)) {
+            this.register(name, { ...rule, source: 'builtin' });
+        }
+    }
+}
+
+// Shared registry used by textExtract.js, seeded from smartfetch-config.json
+const registry = new ExtractorRegistry({
+    config: config.loadConfig().extraction?.extractors
+});
+
+module.exports = registry;
+module.exports.ExtractorRegistry = ExtractorRegistry;
+module.exports.CONFIDENCE_TIERS = CONFIDENCE_TIERS;
+module.exports.TIER_ORDER = TIER_ORDER;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
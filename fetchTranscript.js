@@ -1,53 +1,196 @@
 // fetchTranscript.js - PRODUCTION VERSION
 
 const { YoutubeTranscript } = require('youtube-transcript');
-const axios = require('axios');
+const config = require('./config');
+const { getYouTubeClient, isQuotaError } = require('./youtubeClient');
 require('dotenv').config();
 
-const API_KEY = process.env.YOUTUBE_API_KEY;
+// Where a transcript segment came from; scoring weights spoken and written codes differently
+const SEGMENT_SOURCES = {
+    CAPTIONS: 'captions',
+    DESCRIPTION: 'description',
+    COMMENT: 'comment'
+};
 
-async function fetchTranscript(videoId) {
+/**
+ * Builds a transcript segment.
+ * @param {string} text Segment text.
+ * @param {string} source One of SEGMENT_SOURCES.
+ * @param {number|null} start Start time in seconds (null for untimed text).
+ * @param {number|null} duration Duration in seconds (null for untimed text).
+ * @returns {{text: string, start: number|null, duration: number|null, source: string}}
+ */
+function createSegment(text, source, start = null, duration = null) {
+    const toSeconds = (value) => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? null : parsed;
+    };
+
+    return {
+        text,
+        start: toSeconds(start),
+        duration: toSeconds(duration),
+        source
+    };
+}
+
+// Splits free text (description, comment) into one untimed segment per non-empty line
+function textToSegments(text, source) {
+    return (text || '')
+        .split('\n')
+        .filter(line => line.trim().length > 0)
+        .map(line => createSegment(line, source));
+}
+
+/**
+ * Compatibility shim for callers that expect the old string-array transcript.
+ * @param {Array<string|{text: string}>} segments Segments from fetchTranscript.
+ * @returns {string[]} Segment text only.
+ */
+function segmentsToLines(segments) {
+    if (!Array.isArray(segments)) return [];
+    return segments
+        .map(segment => (typeof segment === 'string' ? segment : segment?.text))
+        .filter(line => typeof line === 'string');
+}
+
+// Full transcript text, joined the same way extractFromTranscript joins lines
+function segmentsToText(segments) {
+    return segmentsToLines(segments).join(' ');
+}
+
+// Caption segments from youtube-transcript, or [] when captions are unavailable
+async function fetchCaptionSegments(videoId) {
+    try {
+        const transcript = await YoutubeTranscript.fetchTranscript(videoId);
+        if (!transcript || transcript.length === 0) return [];
+
+        // youtube-transcript reports offset/duration in seconds
+        return transcript.map(item =>
+            createSegment(item.text, SEGMENT_SOURCES.CAPTIONS, item.offset, item.duration)
+        );
+    } catch (transcriptError) {
+        console.log(`⚠️ youtube-transcript failed: ${transcriptError.message}`);
+        return [];
+    }
+}
+
+// Video snippet (title, description, channelId) from the Data API, or null.
+// Free when the caller already looked the video up through the shared client.
+async function fetchVideoSnippet(videoId) {
+    const video = await getYouTubeClient().getVideo(videoId);
+    return video ? video.snippet : null;
+}
+
+// The API does not expose pinned comments, so take the most relevant top-level
+// comment written by the channel owner, which is almost always the pinned one
+async function fetchCreatorCommentSegments(videoId, channelId) {
+    if (!channelId) return [];
+
+    try {
+        const data = await getYouTubeClient().request('commentThreads', {
+            part: 'snippet',
+            videoId,
+            order: 'relevance',
+            maxResults: 20,
+            textFormat: 'plainText'
+        });
+
+        const creatorThread = (data.items || []).find(thread =>
+            thread.snippet?.topLevelComment?.snippet?.authorChannelId?.value === channelId
+        );
+        if (!creatorThread) return [];
+
+        const text = creatorThread.snippet.topLevelComment.snippet.textOriginal
+            || creatorThread.snippet.topLevelComment.snippet.textDisplay
+            || '';
+        return textToSegments(text, SEGMENT_SOURCES.COMMENT);
+    } catch (error) {
+        // Out of quota is the caller's to handle; the next video would fail the same way
+        if (isQuotaError(error)) throw error;
+        // Comments are often disabled; that's not a transcript failure
+        console.log(`⚠️ Could not fetch creator comment: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Fetches the text for a video as segments.
+ *
+ * Modes:
+ * - 'fallback' (default): captions, or the description when captions are unavailable
+ * - 'combined': captions, description and the creator's pinned comment together,
+ *   each segment tagged with its source
+ *
+ * @param {string} videoId The YouTube video ID.
+ * @param {{mode?: 'fallback'|'combined'}} [options]
+ * @returns {Promise<Array<{text: string, start: number|null, duration: number|null, source: string}>>}
+ * @throws {Error} with code 'QUOTA_EXCEEDED' when the YouTube quota runs out; other failures return [].
+ */
+async function fetchTranscript(videoId, options = {}) {
     if (!videoId) {
         console.error('❌ Video ID is required');
         return [];
     }
 
+    const mode = options.mode || config.loadConfig().extraction?.sourceMode || 'fallback';
+
     try {
-        console.log(`🎯 Fetching transcript for video: ${videoId}`);
-        
+        console.log(`🎯 Fetching transcript for video: ${videoId} (mode: ${mode})`);
+
         // Try youtube-transcript first (free method)
+        const captionSegments = await fetchCaptionSegments(videoId);
+        if (captionSegments.length > 0) {
+            console.log(`✅ Transcript fetched: ${captionSegments.length} lines`);
+            if (mode !== 'combined') return captionSegments;
+        } else {
+            console.log('⚠️ No captions, trying video description...');
+        }
+
+        let snippet = null;
         try {
-            const transcript = await YoutubeTranscript.fetchTranscript(videoId);
-            if (transcript && transcript.length > 0) {
-                const transcriptLines = transcript.map(item => item.text);
-                console.log(`✅ Transcript fetched: ${transcriptLines.length} lines`);
-                return transcriptLines;
-            }
-        } catch (transcriptError) {
-            console.log('⚠️ youtube-transcript failed, trying video description...');
+            snippet = await fetchVideoSnippet(videoId);
+        } catch (error) {
+            // In combined mode captions alone are still a usable result
+            if (captionSegments.length === 0 || isQuotaError(error)) throw error;
+            console.log(`⚠️ Could not fetch video description: ${error.message}`);
+        }
+        const descriptionSegments = textToSegments(snippet?.description, SEGMENT_SOURCES.DESCRIPTION);
+        if (descriptionSegments.length > 0) {
+            console.log(`✅ Using video description: ${snippet.description.length} characters`);
         }
 
-        // Fallback to video description
-        const videoUrl = `https://www.googleapis.com/youtube/v3/videos?part=snippet&id=${videoId}&key=${API_KEY}`;
-        const videoResponse = await axios.get(videoUrl);
-        
-        if (videoResponse.data.items && videoResponse.data.items.length > 0) {
-            const description = videoResponse.data.items[0].snippet.description || '';
-            
-            if (description.length > 0) {
-                console.log(`✅ Using video description: ${description.length} characters`);
-                const descriptionLines = description.split('\n').filter(line => line.trim().length > 0);
-                return descriptionLines;
+        if (mode !== 'combined') {
+            if (descriptionSegments.length === 0) {
+                console.log('⚠️ No transcript or description available');
             }
+            return descriptionSegments;
         }
 
-        console.log('⚠️ No transcript or description available');
-        return [];
-        
+        const commentSegments = await fetchCreatorCommentSegments(videoId, snippet?.channelId);
+        if (commentSegments.length > 0) {
+            console.log(`✅ Using creator comment: ${commentSegments.length} lines`);
+        }
+
+        const segments = [...captionSegments, ...descriptionSegments, ...commentSegments];
+        if (segments.length === 0) {
+            console.log('⚠️ No transcript, description or comment available');
+        }
+        return segments;
+
     } catch (error) {
+        if (isQuotaError(error)) throw error;
         console.error(`❌ Error fetching transcript: ${error.message}`);
         return [];
     }
 }
 
 module.exports = fetchTranscript;
+module.exports.SEGMENT_SOURCES = SEGMENT_SOURCES;
+module.exports.createSegment = createSegment;
+module.exports.textToSegments = textToSegments;
+module.exports.segmentsToLines = segmentsToLines;
+module.exports.segmentsToText = segmentsToText;
+module.exports.fetchCaptionSegments = fetchCaptionSegments;
+module.exports.fetchVideoSnippet = fetchVideoSnippet;
+module.exports.fetchCreatorCommentSegments = fetchCreatorCommentSegments;
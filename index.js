@@ -3,10 +3,13 @@
 // Validate environment first
 const envVars = require('./validateEnv');
 
-const axios = require('axios');
 const fetchTranscript = require('./fetchTranscript');
+const { segmentsToText } = require('./fetchTranscript');
 const { extractFromTranscript } = require('./textExtract');
 const { EnhancedAIPostProcessor } = require('./aiPostProcessor');
+const { createLLMProvider } = require('./llmProviders');
+const { fetchChannelUploads, fetchChannelShorts, fetchPlaylistItems, searchVideos } = require('./nextPageToken');
+const { getYouTubeClient, isQuotaError } = require('./youtubeClient');
 
 
 const syncToSheet = require('./syncToSheet');
@@ -14,6 +17,13 @@ const config = require('./config');
 
 const API_KEY = process.env.YOUTUBE_API_KEY;
 
+// How the LLM is used: 'rescore' re-rates low-confidence regex results, 'extract' reads
+// the transcript itself and merges its offers with the regex ones, 'both' does both
+const AI_MODES = ['rescore', 'extract', 'both'];
+
+// Calibrated thresholds from smartfetch-config.json (scoring.thresholds)
+const SCORING_THRESHOLDS = config.loadConfig().scoring?.thresholds || {};
+
 // Enhanced SmartFetch Integration with Advanced AI Processing
 // Fixed SmartFetch constructor with proper AI detection logic
 class SmartFetch {
@@ -21,25 +31,46 @@ class SmartFetch {
         this.config = {
             // AI configuration
             aiEnabled: config.aiEnabled !== false,
-            aiProvider: config.aiProvider || 'openai',
+            aiProvider: config.aiProvider || process.env.AI_PROVIDER || 'openai',
             aiApiKey: config.aiApiKey || process.env.AI_API_KEY,
-            aiModel: config.aiModel || 'gpt-3.5-turbo',
+            aiModel: config.aiModel || process.env.AI_MODEL,
+            // OpenAI-compatible endpoint (Ollama, llama.cpp server) or Azure resource URL
+            aiBaseUrl: config.aiBaseUrl || process.env.AI_BASE_URL,
+            aiMode: (config.aiMode || process.env.AI_MODE || 'rescore').toLowerCase(),
             
             // Processing thresholds
-            acceptThreshold: config.acceptThreshold || 0.6,
-            reviewThreshold: config.reviewThreshold || 0.3,
-            aiThreshold: config.aiThreshold || 0.4,
+            acceptThreshold: config.acceptThreshold || SCORING_THRESHOLDS.accept || 0.6,
+            reviewThreshold: config.reviewThreshold || SCORING_THRESHOLDS.review || 0.3,
+            aiThreshold: config.aiThreshold || SCORING_THRESHOLDS.ai || 0.4,
             
             // Rate limiting and retry settings
             maxRetries: config.maxRetries || 3,
             timeout: config.timeout || 30000,
             requestsPerMinute: config.requestsPerMinute || 18,
+            tokensPerMinute: config.tokensPerMinute || null,
+            // Transcript excerpt per AI prompt (tokens) and max prompts per video
+            promptTokenBudget: config.promptTokenBudget || 1000,
+            maxPromptChunks: config.maxPromptChunks || 3,
             
             // Enhanced features
             batchProcessing: config.batchProcessing || false,
-            failureFile: config.failureFile || 'failed-ai-requests.json'
+            failureFile: config.failureFile || 'failed-ai-requests.json',
+            // Disk cache of AI answers; AI_CACHE=false or smartfetch --no-cache forces fresh requests
+            aiCache: config.aiCache !== false,
+            aiCacheFile: config.aiCacheFile || 'ai-response-cache.json',
+            aiCacheTtlHours: config.aiCacheTtlHours || 24 * 7,
+            // USD spend caps; unset falls back to smartfetch-config.json ai.budget
+            maxCostPerRun: config.maxCostPerRun,
+            maxCostTotal: config.maxCostTotal,
+            // Prompt template versions ({ rescore: 'v2' }) and an optional A/B rescore version
+            aiPromptVersions: config.aiPromptVersions,
+            aiPromptAB: config.aiPromptAB || null
         };
 
+        if (!AI_MODES.includes(this.config.aiMode)) {
+            throw new Error(`Unknown aiMode "${this.config.aiMode}" (expected ${AI_MODES.join('/')})`);
+        }
+
         // Initialize AI processor and update config based on success
         this.aiProcessor = null;
         this.initializeAI();
@@ -51,6 +82,8 @@ class SmartFetch {
             rejected: 0,
             needsReview: 0,
             aiEnhanced: 0,
+            aiExtracted: 0,
+            aiRecoveredCodes: 0,
             errors: 0,
             totalProcessingTime: 0,
             aiImprovements: []
@@ -63,38 +96,53 @@ class SmartFetch {
 
     initializeAI() {
         try {
-            // Only attempt AI initialization if explicitly enabled AND we have an API key
-            if (this.config.aiEnabled && this.config.aiApiKey) {
+            if (!this.config.aiEnabled) {
+                // AI explicitly disabled
+                console.log('🤖 AI processing disabled by configuration');
+                return;
+            }
+
+            // Throws for unknown providers; keys fall back to the provider's own env variable
+            const llmProvider = createLLMProvider({
+                provider: this.config.aiProvider,
+                apiKey: this.config.aiApiKey,
+                model: this.config.aiModel,
+                baseUrl: this.config.aiBaseUrl,
+                timeout: this.config.timeout
+            });
+
+            // Only make real requests when the provider has what it needs (local endpoints need no key)
+            if (llmProvider.isConfigured()) {
                 this.aiProcessor = new EnhancedAIPostProcessor({
-                    provider: this.config.aiProvider,
-                    apiKey: this.config.aiApiKey,
-                    model: this.config.aiModel,
+                    llmProvider,
                     threshold: this.config.aiThreshold,
                     requestsPerMinute: this.config.requestsPerMinute,
-                    failureFile: this.config.failureFile
+                    tokensPerMinute: this.config.tokensPerMinute,
+                    maxRetries: this.config.maxRetries,
+                    promptTokenBudget: this.config.promptTokenBudget,
+                    maxPromptChunks: this.config.maxPromptChunks,
+                    failureFile: this.config.failureFile,
+                    cache: this.config.aiCache,
+                    cacheFile: this.config.aiCacheFile,
+                    cacheTtlHours: this.config.aiCacheTtlHours,
+                    maxCostPerRun: this.config.maxCostPerRun,
+                    maxCostTotal: this.config.maxCostTotal,
+                    promptVersions: this.config.aiPromptVersions,
+                    abPromptVersion: this.config.aiPromptAB
                 });
                 
-                // Update config to reflect successful AI initialization
-                this.config.aiEnabled = true;
-                console.log('🤖 Enhanced AI processor initialized successfully');
+                console.log(`🤖 Enhanced AI processor initialized successfully (${llmProvider.name}, ${llmProvider.model})`);
                 
-            } else if (this.config.aiEnabled) {
+            } else {
                 // AI was requested but no API key available - try basic processor
                 this.aiProcessor = new EnhancedAIPostProcessor({
-                    provider: this.config.aiProvider,
-                    apiKey: this.config.aiApiKey,
-                    model: this.config.aiModel,
+                    llmProvider,
                     enabled: false, // Disable actual API calls
                     threshold: this.config.aiThreshold
                 });
                 
                 // Keep AI enabled but log the limitation
-                console.log('🤖 Basic AI processor initialized (no API key)');
-                
-            } else {
-                // AI explicitly disabled
-                this.config.aiEnabled = false;
-                console.log('🤖 AI processing disabled by configuration');
+                console.log(`🤖 Basic AI processor initialized (no API key for ${llmProvider.name})`);
             }
             
         } catch (error) {
@@ -117,26 +165,41 @@ class SmartFetch {
         
         try {
             // Extract using regex pipeline
-            const regexResult = await extractFromTranscript(transcript);
+            const videoMetadata = { channelName: videoData.channelTitle };
+            const regexResult = await extractFromTranscript(transcript, { videoMetadata });
             let finalResult = regexResult;
-            
+            const originalText = Array.isArray(transcript) ? segmentsToText(transcript) : transcript;
+            const { aiMode } = this.config;
+
+            // Let the model read the transcript itself and recover codes the regex missed
+            if (this.isAIAvailable() && aiMode !== 'rescore') {
+                const extraction = await this.aiProcessor.extractOffers(originalText, videoData.videoId);
+                finalResult = this.aiProcessor.mergeExtraction(regexResult, extraction, { rawText: originalText, videoMetadata });
+
+                if (finalResult.aiExtracted) {
+                    const recovered = Object.values(finalResult.codeExtractors).filter(sources => sources[0] === 'ai').length;
+                    this.stats.aiExtracted++;
+                    this.stats.aiRecoveredCodes += recovered;
+                    console.log(`🤖 AI extraction: ${finalResult.aiExtractedCodes.length} codes, ${recovered} missed by regex`);
+                }
+            }
+
             // Apply AI enhancement if available and needed
-            if (this.isAIAvailable() && regexResult.confidence < this.config.aiThreshold) {
-                console.log(`🤖 Confidence ${regexResult.confidence.toFixed(2)} < ${this.config.aiThreshold}, applying AI enhancement...`);
-                
-                const originalText = Array.isArray(transcript) ? transcript.join(' ') : transcript;
+            if (this.isAIAvailable() && aiMode !== 'extract' && finalResult.confidence < this.config.aiThreshold) {
+                console.log(`🤖 Confidence ${finalResult.confidence.toFixed(2)} < ${this.config.aiThreshold}, applying AI enhancement...`);
                 
+                const extractedResult = finalResult;
                 finalResult = await this.aiProcessor.processResult(
-                    regexResult, 
+                    extractedResult, 
                     originalText, 
                     videoData.videoId
                 );
                 
                 if (finalResult.aiEnhanced) {
                     this.stats.aiEnhanced++;
-                    const improvement = finalResult.confidence - regexResult.confidence;
+                    const improvement = finalResult.confidence - extractedResult.confidence;
                     this.stats.aiImprovements.push(improvement);
-                    console.log(`🤖 AI enhanced: ${regexResult.confidence.toFixed(2)} → ${finalResult.confidence.toFixed(2)} (+${improvement.toFixed(3)})`);
+                    console.log(`🤖 AI enhanced: ${extractedResult.confidence.toFixed(2)} → ${finalResult.confidence.toFixed(2)} (+${improvement.toFixed(3)})`);
                 }
             }
 
@@ -154,6 +217,7 @@ class SmartFetch {
             return {
                 ...finalResult,
                 status: status,
+                statusReason: this.explainStatus(finalResult, status),
                 processingTimeMs: Date.now() - startTime,
                 aiEnhanced: finalResult.aiEnhanced || false
             };
@@ -243,6 +307,30 @@ class SmartFetch {
         }
     }
 
+    // One-line explanation of determineStatus, e.g. "accepted: 0.91 >= accept threshold 0.60"
+    explainStatus(result, status) {
+        const confidence = (result.confidence || 0).toFixed(2);
+        const accept = this.config.acceptThreshold.toFixed(2);
+        const review = this.config.reviewThreshold.toFixed(2);
+
+        let explanation;
+        if (status === 'accepted') {
+            explanation = `accepted: ${confidence} >= accept threshold ${accept}`;
+        } else if (status === 'needs_review') {
+            explanation = `needs review: ${confidence} between review threshold ${review} and accept threshold ${accept}`;
+        } else {
+            explanation = `rejected: ${confidence} < review threshold ${review}`;
+        }
+
+        // The regex breakdown no longer explains the final score once AI has rescored it
+        if (result.aiEnhanced) {
+            explanation += ` (AI rescored from ${(result.originalConfidence || 0).toFixed(2)})`;
+        } else if (result.aiExtracted && result.originalConfidence !== undefined) {
+            explanation += ` (raised by AI extraction from ${(result.originalConfidence || 0).toFixed(2)})`;
+        }
+        return explanation;
+    }
+
     async getAIProcessingStats() {
         if (this.aiProcessor && typeof this.aiProcessor.getProcessingStats === 'function') {
             return await this.aiProcessor.getProcessingStats();
@@ -261,7 +349,11 @@ class SmartFetch {
             console.log(`   Avg processing time: ${(this.stats.totalProcessingTime/this.stats.totalProcessed).toFixed(1)}ms`);
             
             if (this.isAIAvailable()) {
+                console.log(`   AI mode: ${this.config.aiMode}`);
                 console.log(`   AI enhanced: ${this.stats.aiEnhanced}`);
+                if (this.config.aiMode !== 'rescore') {
+                    console.log(`   AI extracted: ${this.stats.aiExtracted} (${this.stats.aiRecoveredCodes} codes missed by regex)`);
+                }
                 if (this.stats.aiImprovements.length > 0) {
                     const avgImprovement = this.stats.aiImprovements.reduce((a, b) => a + b, 0) / this.stats.aiImprovements.length;
                     console.log(`   Avg AI improvement: +${avgImprovement.toFixed(3)} confidence`);
@@ -270,9 +362,36 @@ class SmartFetch {
                 // Get detailed AI stats if available
                 const aiStats = await this.getAIProcessingStats();
                 if (aiStats) {
-                    console.log(`   AI API calls: ${aiStats.totalRequests || 'N/A'}`);
-                    console.log(`   AI failures: ${aiStats.failures || 'N/A'}`);
-                    console.log(`   Unresolved failures: ${aiStats.unresolvedFailures || 'N/A'}`);
+                    console.log(`   AI API calls: ${aiStats.usage.run.requests}`);
+                    // Failures are counted across runs, from the retry job store
+                    console.log(`   AI failures: ${aiStats.totalFailures}`);
+                    console.log(`   Unresolved failures: ${aiStats.unresolvedFailures}`);
+                    if (aiStats.queue) {
+                        const { depth, avgWaitMs, maxWaitMs, retries, rateLimited } = aiStats.queue;
+                        console.log(`   AI queue: ${depth} waiting, avg wait ${(avgWaitMs/1000).toFixed(1)}s (max ${(maxWaitMs/1000).toFixed(1)}s), ${retries} retries, ${rateLimited} rate-limited`);
+                    }
+                    if (aiStats.usage) {
+                        const { run, total, budget, overBudget } = aiStats.usage;
+                        console.log(`   AI tokens this run: ${run.inputTokens} in / ${run.outputTokens} out, $${run.cost.toFixed(4)}`);
+                        console.log(`   AI tokens all runs: ${total.inputTokens} in / ${total.outputTokens} out, $${total.cost.toFixed(4)}`);
+                        if (budget.perRun !== null || budget.total !== null) {
+                            console.log(`   AI budget: ${budget.perRun ?? '∞'} per run, ${budget.total ?? '∞'} total${overBudget ? ` (${overBudget})` : ''}`);
+                        }
+                    }
+                    if (aiStats.ab) {
+                        const { a, b, compared, recommendationAgreement, avgCodeAgreement, avgConfidenceDelta } = aiStats.ab;
+                        console.log(`   Prompt A/B: ${a} vs ${b} on ${compared} videos`);
+                        if (compared > 0) {
+                            console.log(`      Recommendation agreement: ${(recommendationAgreement * 100).toFixed(1)}%`);
+                            console.log(`      Valid-code overlap: ${(avgCodeAgreement * 100).toFixed(1)}%`);
+                            console.log(`      Avg confidence difference: ${avgConfidenceDelta.toFixed(3)}`);
+                        }
+                    }
+                    if (aiStats.cacheEnabled) {
+                        console.log(`   AI cache: ${aiStats.cacheHits} hits, ${aiStats.cacheMisses} misses (${aiStats.cacheEntries} entries)`);
+                    } else {
+                        console.log('   AI cache: disabled');
+                    }
                 }
             }
         }
@@ -284,14 +403,15 @@ async function enhancedExtractFromTranscript(transcriptLines, videoId = 'unknown
     const regularResult = await extractFromTranscript(transcriptLines);
     
     // Enhanced AI processing if confidence is low
-    if (regularResult.confidence < 0.4 && process.env.AI_API_KEY) {
+    const llmProvider = createLLMProvider();
+    if (regularResult.confidence < 0.4 && llmProvider.isConfigured()) {
         const aiProcessor = new EnhancedAIPostProcessor({
             requestsPerMinute: 20,
             threshold: 0.4,
-            apiKey: process.env.AI_API_KEY
+            llmProvider
         });
         
-        const originalText = Array.isArray(transcriptLines) ? transcriptLines.join(' ') : transcriptLines;
+        const originalText = Array.isArray(transcriptLines) ? segmentsToText(transcriptLines) : transcriptLines;
         const enhancedResult = await aiProcessor.processResult(regularResult, originalText, videoId);
         
         return enhancedResult;
@@ -314,21 +434,42 @@ const CHANNEL_IDS = [
     // Add more channel IDs as needed
 ];
 
-// Initialize SmartFetch with enhanced configuration
-const smartFetch = new SmartFetch({
-    aiEnabled: process.env.AI_ENABLED !== 'false', // Enable by default unless explicitly disabled
-    aiProvider: 'openai',
-    aiApiKey: process.env.AI_API_KEY || process.env.OPENAI_API_KEY,
-    acceptThreshold: 0.6,
-    reviewThreshold: 0.3,
-    aiThreshold: 0.4,
-    requestsPerMinute: 18,
-    batchProcessing: process.env.BATCH_PROCESSING === 'true',
-    failureFile: 'failed-ai-requests.json'
-});
+// SmartFetch options from the environment; CLI flags override them (see smartfetch.js)
+function smartFetchOptionsFromEnv() {
+    return {
+        aiEnabled: process.env.AI_ENABLED !== 'false', // Enable by default unless explicitly disabled
+        aiProvider: process.env.AI_PROVIDER || 'openai',
+        aiApiKey: process.env.AI_API_KEY,
+        aiMode: process.env.AI_MODE || 'rescore',
+        requestsPerMinute: 18,
+        tokensPerMinute: process.env.AI_TOKENS_PER_MINUTE ? Number(process.env.AI_TOKENS_PER_MINUTE) : null,
+        batchProcessing: process.env.BATCH_PROCESSING === 'true',
+        failureFile: 'failed-ai-requests.json',
+        aiCache: process.env.AI_CACHE !== 'false',
+        maxCostPerRun: process.env.AI_MAX_COST_PER_RUN ? Number(process.env.AI_MAX_COST_PER_RUN) : undefined,
+        maxCostTotal: process.env.AI_MAX_COST_TOTAL ? Number(process.env.AI_MAX_COST_TOTAL) : undefined,
+        aiPromptAB: process.env.AI_PROMPT_AB
+    };
+}
+
+// Shared instance, created on first use so callers can configure it first
+let smartFetch = null;
+
+function getSmartFetch() {
+    if (!smartFetch) smartFetch = new SmartFetch(smartFetchOptionsFromEnv());
+    return smartFetch;
+}
+
+// Replaces the shared instance; `overrides` win over the environment defaults
+function configureSmartFetch(overrides = {}) {
+    smartFetch = new SmartFetch({ ...smartFetchOptionsFromEnv(), ...overrides });
+    return smartFetch;
+}
 
 function extractVideoIdFromUrl(url) {
     try {
+        // Bare video IDs are accepted as they are
+        if (/^[\w-]{11}$/.test(url)) return url;
         const short = url.match(/youtu\.be\/([^\?\&]+)/);
         if (short) return short[1];
         const long = url.match(/[?&]v=([^&]+)/);
@@ -342,23 +483,28 @@ function extractVideoIdFromUrl(url) {
     }
 }
 
-async function fetchChannelVideos(channelId, maxResults = 10) {
+/**
+ * Latest uploads of a channel, newest first, from its uploads playlist.
+ * @param {{publishedAfter?: string, publishedBefore?: string}} [options] ISO date range of publish times.
+ * @returns {Promise<{videoId: string, publishedAt: string, title: string}[]>}
+ */
+async function fetchChannelVideoItems(channelId, maxResults = 10, options = {}) {
     try {
         console.log(`🔍 Fetching videos from channel: ${channelId}`);
         
-        const searchUrl = `https://www.googleapis.com/youtube/v3/search?part=snippet&channelId=${channelId}&type=video&order=date&maxResults=${maxResults}&key=${API_KEY}`;
-        
-        const response = await axios.get(searchUrl);
+        const uploads = await fetchChannelUploads(channelId, API_KEY, { ...options, maxResults });
         
-        if (response.data.items && response.data.items.length > 0) {
-            console.log(`✅ Found ${response.data.items.length} videos from channel ${channelId}`);
-            return response.data.items.map(item => item.id.videoId);
+        if (uploads.length > 0) {
+            console.log(`✅ Found ${uploads.length} videos from channel ${channelId}`);
+            return uploads.map(({ videoId, publishedAt, title }) => ({ videoId, publishedAt, title }));
         } else {
             console.log(`⚠️ No videos found for channel: ${channelId}`);
             return [];
         }
         
     } catch (error) {
+        // Out of quota: the caller stops, and a watcher keeps its state for the next check
+        if (isQuotaError(error)) throw error;
         console.error(`❌ Error fetching videos from channel ${channelId}:`, error.message);
         if (error.response) {
             console.error(`API Response:`, error.response.data);
@@ -367,99 +513,197 @@ async function fetchChannelVideos(channelId, maxResults = 10) {
     }
 }
 
-async function validateVideoExists(videoId) {
-    try {
-        const url = `https://www.googleapis.com/youtube/v3/videos?part=snippet&id=${videoId}&key=${API_KEY}`;
-        const response = await axios.get(url);
-        return response.data.items && response.data.items.length > 0;
-    } catch (error) {
-        console.error(`❌ Error validating video ${videoId}:`, error.message);
-        return false;
+async function fetchChannelVideos(channelId, maxResults = 10, options = {}) {
+    const items = await fetchChannelVideoItems(channelId, maxResults, options);
+    return items.map(item => item.videoId);
+}
+
+// Video IDs from a playlist, in playlist order
+async function fetchPlaylistVideos(playlistId, maxResults = 50, options = {}) {
+    console.log(`🔍 Fetching videos from playlist: ${playlistId}`);
+
+    const items = await fetchPlaylistItems(playlistId, API_KEY, { ...options, maxResults });
+    if (items.length > 0) {
+        console.log(`✅ Found ${items.length} videos in playlist ${playlistId}`);
+    } else {
+        console.log(`⚠️ No videos found in playlist: ${playlistId}`);
+    }
+    return items.map(item => item.videoId);
+}
+
+// A channel's latest Shorts
+async function fetchShortsVideos(channelId, maxResults = 10, options = {}) {
+    console.log(`🔍 Fetching Shorts from channel: ${channelId}`);
+
+    const items = await fetchChannelShorts(channelId, API_KEY, { ...options, maxResults });
+    if (items.length > 0) {
+        console.log(`✅ Found ${items.length} Shorts from channel ${channelId}`);
+    } else {
+        console.log(`⚠️ No Shorts found for channel: ${channelId}`);
+    }
+    return items.map(item => item.videoId);
+}
+
+// Newest videos matching a search query (100 quota units per page of 50)
+async function searchVideoIds(query, maxResults = 25, options = {}) {
+    console.log(`🔍 Searching videos: "${query}"${options.publishedAfter ? ` since ${options.publishedAfter}` : ''}`);
+
+    const items = await searchVideos(query, API_KEY, { ...options, maxResults });
+    if (items.length > 0) {
+        console.log(`✅ Found ${items.length} videos for "${query}"`);
+    } else {
+        console.log(`⚠️ No videos found for: "${query}"`);
+    }
+    return items.map(item => item.videoId);
+}
+
+// Where runAll can take videos from; `value` is a URL/ID, channel ID, playlist ID or query
+const SOURCE_TYPES = ['video', 'channel', 'playlist', 'search', 'shorts'];
+
+// Videos taken from each source when no maxResults is given
+const SOURCE_MAX_RESULTS = { channel: 5, playlist: 50, search: 25, shorts: 10 };
+
+async function fetchSourceVideoIds(source, options = {}) {
+    const maxResults = source.maxResults ?? options.maxResults ?? SOURCE_MAX_RESULTS[source.type];
+    const range = { publishedAfter: options.publishedAfter, publishedBefore: options.publishedBefore };
+
+    switch (source.type) {
+        case 'video': {
+            const videoId = extractVideoIdFromUrl(source.value);
+            if (!videoId) console.warn(`⚠️ Could not extract video ID from URL: ${source.value}`);
+            return videoId ? [videoId] : [];
+        }
+        case 'channel':
+            console.log(`\n📺 Processing channel: ${source.value}`);
+            return fetchChannelVideos(source.value, maxResults, range);
+        case 'playlist':
+            console.log(`\n📃 Processing playlist: ${source.value}`);
+            return fetchPlaylistVideos(source.value, maxResults, range);
+        case 'search':
+            console.log(`\n🔎 Processing search: "${source.value}"`);
+            return searchVideoIds(source.value, maxResults, range);
+        case 'shorts':
+            console.log(`\n🩳 Processing Shorts: ${source.value}`);
+            return fetchShortsVideos(source.value, maxResults, range);
+        default:
+            throw new Error(`Unknown video source "${source.type}" (expected ${SOURCE_TYPES.join('/')})`);
     }
 }
 
+/**
+ * Video IDs from every source, in source order. A video found by several sources
+ * (a Short that is also in a playlist and a search) is kept once.
+ * @param {{type: string, value: string, maxResults?: number}[]} sources See SOURCE_TYPES.
+ * @param {{maxResults?: number, publishedAfter?: string, publishedBefore?: string}} [options]
+ *   `maxResults` applies per source; the dates don't apply to single videos.
+ * @returns {Promise<string[]>}
+ */
+async function collectVideoIds(sources, options = {}) {
+    const videoIds = new Set();
+    let duplicates = 0;
+
+    for (const source of sources) {
+        let sourceIds = [];
+        try {
+            sourceIds = await fetchSourceVideoIds(source, options);
+        } catch (error) {
+            console.error(`❌ Error processing ${source.type} ${source.value}:`, error.message);
+            // Out of quota: later sources would fail too, so stop with what was found
+            if (isQuotaError(error)) {
+                console.log(`⏸️ Skipping ${sources.length - sources.indexOf(source) - 1} remaining source(s) until the quota resets`);
+                break;
+            }
+        }
+
+        const before = videoIds.size;
+        sourceIds.forEach(id => videoIds.add(id));
+        duplicates += sourceIds.length - (videoIds.size - before);
+    }
+
+    if (duplicates > 0) {
+        console.log(`🔁 Skipped ${duplicates} video(s) already found by another source`);
+    }
+    return [...videoIds];
+}
+
+// Quota errors are rethrown so callers can stop and leave the rest for tomorrow
 async function fetchVideoDetails(videoId) {
     try {
-        // Validate video exists first
-        const exists = await validateVideoExists(videoId);
-        if (!exists) {
+        // One videos.list lookup (or none, if a batch lookup already cached it)
+        const video = await getYouTubeClient().getVideo(videoId);
+        if (!video) {
             console.log(`⚠️ Video ${videoId} does not exist or is not accessible`);
             return null;
         }
 
-        const url = `https://www.googleapis.com/youtube/v3/videos?part=snippet&id=${videoId}&key=${API_KEY}`;
-        const response = await axios.get(url);
+        console.log(`📹 Video: ${video.snippet.title}`);
+        
+        // Fetch transcript
+        console.log(`🎯 Fetching transcript for video: ${videoId}`);
+        const transcript = await fetchTranscript(videoId);
         
-        if (response.data.items && response.data.items.length > 0) {
-            const video = response.data.items[0];
-            console.log(`📹 Video: ${video.snippet.title}`);
+        if (transcript.length > 0) {
+            console.log(`✅ Transcript found: ${transcript.length} lines`);
             
-            // Fetch transcript
-            console.log(`🎯 Fetching transcript for video: ${videoId}`);
-            const transcript = await fetchTranscript(videoId);
+            // Process transcript using SmartFetch
+            console.log(`🧠 Processing with SmartFetch...`);
+            const videoData = {
+                videoId: videoId,
+                videoTitle: video.snippet.title,
+                channelTitle: video.snippet.channelTitle,
+                publishedAt: video.snippet.publishedAt,
+                description: video.snippet.description || ''
+            };
             
-            if (transcript.length > 0) {
-                console.log(`✅ Transcript found: ${transcript.length} lines`);
-                
-                // Process transcript using SmartFetch
-                console.log(`🧠 Processing with SmartFetch...`);
-                const videoData = {
+            const processingResult = await getSmartFetch().processTranscript(transcript, videoData);
+            
+            console.log(`📊 Processing result:`, {
+                status: processingResult.status,
+                confidence: processingResult.confidence?.toFixed(2),
+                codes: processingResult.codes?.length || 0,
+                links: processingResult.links?.length || 0,
+                aiEnhanced: processingResult.aiEnhanced,
+                processingTime: `${processingResult.processingTimeMs}ms`
+            });
+            
+            if (processingResult.codes.length > 0 || processingResult.links.length > 0) {
+                const finalVideoData = {
                     videoId: videoId,
                     videoTitle: video.snippet.title,
                     channelTitle: video.snippet.channelTitle,
                     publishedAt: video.snippet.publishedAt,
-                    description: video.snippet.description || ''
+                    timestamp: new Date().toISOString(),
+                    ...processingResult
                 };
                 
-                const processingResult = await smartFetch.processTranscript(transcript, videoData);
-                
-                console.log(`📊 Processing result:`, {
-                    status: processingResult.status,
-                    confidence: processingResult.confidence?.toFixed(2),
-                    codes: processingResult.codes?.length || 0,
-                    links: processingResult.links?.length || 0,
-                    aiEnhanced: processingResult.aiEnhanced,
-                    processingTime: `${processingResult.processingTimeMs}ms`
-                });
+                console.log(`💾 Saving data for video: ${videoId}`);
+                console.log(`   - Status: ${processingResult.status}`);
+                console.log(`   - Codes found: ${processingResult.codes.length}`);
+                console.log(`   - Links found: ${processingResult.links.length}`);
+                console.log(`   - Confidence: ${processingResult.confidence?.toFixed(2) || 'N/A'}`);
+                if (processingResult.aiEnhanced) {
+                    console.log(`   - AI Enhanced: Yes`);
+                }
                 
-                if (processingResult.codes.length > 0 || processingResult.links.length > 0) {
-                    const finalVideoData = {
-                        videoId: videoId,
-                        videoTitle: video.snippet.title,
-                        channelTitle: video.snippet.channelTitle,
-                        publishedAt: video.snippet.publishedAt,
-                        timestamp: new Date().toISOString(),
-                        ...processingResult
-                    };
-                    
-                    console.log(`💾 Saving data for video: ${videoId}`);
-                    console.log(`   - Status: ${processingResult.status}`);
-                    console.log(`   - Codes found: ${processingResult.codes.length}`);
-                    console.log(`   - Links found: ${processingResult.links.length}`);
-                    console.log(`   - Confidence: ${processingResult.confidence?.toFixed(2) || 'N/A'}`);
-                    if (processingResult.aiEnhanced) {
-                        console.log(`   - AI Enhanced: Yes`);
-                    }
-                    
-                    // Sync to Google Sheets
-                    try {
-                        await syncToSheet(finalVideoData);
-                        return finalVideoData;
-                    } catch (sheetError) {
-                        console.error(`❌ Failed to sync to Google Sheets: ${sheetError.message}`);
-                        return finalVideoData;
-                    }
-                } else {
-                    console.log(`⚠️ No codes or links found in video: ${videoId} (Status: ${processingResult.status})`);
-                    return null;
+                // Sync to Google Sheets
+                try {
+                    await syncToSheet(finalVideoData);
+                    return finalVideoData;
+                } catch (sheetError) {
+                    console.error(`❌ Failed to sync to Google Sheets: ${sheetError.message}`);
+                    return finalVideoData;
                 }
             } else {
-                console.log(`⚠️ No transcript available for video: ${videoId}`);
+                console.log(`⚠️ No codes or links found in video: ${videoId} (Status: ${processingResult.status})`);
                 return null;
             }
+        } else {
+            console.log(`⚠️ No transcript available for video: ${videoId}`);
+            return null;
         }
         
     } catch (err) {
+        if (isQuotaError(err)) throw err;
         console.error(`❌ Error processing video ${videoId}:`, err.message);
         return null;
     }
@@ -471,19 +715,21 @@ async function processVideosBatch(videoIds, batchSize = 3) {
     
     const videosData = [];
     const results = [];
+
+    // All snippets up front, 50 IDs per videos.list call
+    let videos;
+    try {
+        videos = await getYouTubeClient().getVideos(videoIds);
+    } catch (error) {
+        console.error(`❌ Could not look up videos:`, error.message);
+        return results;
+    }
     
     // First, collect all video data and transcripts
     for (const videoId of videoIds) {
         try {
-            const exists = await validateVideoExists(videoId);
-            if (!exists) continue;
-
-            const videoResponse = await axios.get(
-                `https://www.googleapis.com/youtube/v3/videos?part=snippet&id=${videoId}&key=${API_KEY}`
-            );
-            
-            if (videoResponse.data.items?.length > 0) {
-                const video = videoResponse.data.items[0];
+            const video = videos.get(videoId);
+            if (video) {
                 const transcript = await fetchTranscript(videoId);
                 
                 if (transcript.length > 0) {
@@ -503,12 +749,14 @@ async function processVideosBatch(videoIds, batchSize = 3) {
             
         } catch (error) {
             console.error(`❌ Error collecting data for ${videoId}:`, error.message);
+            // Out of quota: process what was collected, the rest would fail the same way
+            if (isQuotaError(error)) break;
         }
     }
     
     // Process using batch method if available
-    if (smartFetch.config.batchProcessing && videosData.length > 1) {
-        const batchResults = await smartFetch.processBatch(videosData, batchSize);
+    if (getSmartFetch().config.batchProcessing && videosData.length > 1) {
+        const batchResults = await getSmartFetch().processBatch(videosData, batchSize);
         
         // Save successful results
         for (const result of batchResults) {
@@ -531,7 +779,13 @@ async function processVideosBatch(videoIds, batchSize = 3) {
     } else {
         // Process individually
         for (const videoData of videosData) {
-            const result = await fetchVideoDetails(videoData.videoId);
+            let result;
+            try {
+                result = await fetchVideoDetails(videoData.videoId);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                break;
+            }
             if (result) results.push(result);
             
             // Rate limiting between individual processes
@@ -542,7 +796,36 @@ async function processVideosBatch(videoIds, batchSize = 3) {
     return results;
 }
 
-async function runAll() {
+async function printQuotaStats() {
+    const quota = await getYouTubeClient().getQuotaStats();
+    console.log(`📺 YouTube quota: ${quota.run} units this run, ${quota.used}/${quota.limit} used today (${quota.date} Pacific)`);
+}
+
+/**
+ * Scans videos, channels, playlists, search results and Shorts and saves what it
+ * finds. Defaults to the VIDEO_LINKS / CHANNEL_IDS lists above; the smartfetch CLI
+ * passes its own inputs.
+ * @param {{videoLinks?: string[], channelIds?: string[], playlistIds?: string[], searchQueries?: string[], shortsChannelIds?: string[], sources?: object[], maxResults?: number, publishedAfter?: string, publishedBefore?: string}} [options]
+ *   `sources` are extra { type, value } sources (see collectVideoIds); `maxResults`
+ *   caps the videos per source (default: SOURCE_MAX_RESULTS); the ISO dates limit
+ *   listed videos to that publish range.
+ * @returns {Promise<object[]>} The saved results.
+ */
+async function runAll(options = {}) {
+    const {
+        videoLinks = VIDEO_LINKS,
+        channelIds = CHANNEL_IDS,
+        playlistIds = [],
+        searchQueries = [],
+        shortsChannelIds = [],
+        sources: extraSources = [],
+        maxResults,
+        publishedAfter,
+        publishedBefore
+    } = options;
+    const smartFetch = getSmartFetch();
+    let processedResults = [];
+
     try {
         console.log('🚀 Starting Enhanced SmartFetch with Advanced AI Processing...');
         console.log(`🧠 AI Processing: ${smartFetch.isAIAvailable() ? 'Enabled & Available' : 'Disabled or Unavailable'}`);
@@ -558,56 +841,46 @@ async function runAll() {
             console.log(`   ⚠️ AI unavailable - processing will use regex only`);
         }
         
-        const videoIds = new Set();
-        
-        // Process individual video links
-        for (const url of VIDEO_LINKS) {
-            try {
-                const videoId = extractVideoIdFromUrl(url);
-                if (videoId) {
-                    videoIds.add(videoId);
-                } else {
-                    console.warn(`⚠️ Could not extract video ID from URL: ${url}`);
-                }
-            } catch (error) {
-                console.error(`Error processing URL ${url}:`, error.message);
-            }
-        }
-        
-        // Process channels to get recent videos
-        console.log(`🎯 Processing ${CHANNEL_IDS.length} channels...`);
-        
-        for (const channelId of CHANNEL_IDS) {
-            try {
-                console.log(`\n📺 Processing channel: ${channelId}`);
-                const channelVideoIds = await fetchChannelVideos(channelId, 5);
-                
-                // Add channel videos to our set
-                channelVideoIds.forEach(id => videoIds.add(id));
-                
-                // Rate limiting between channels
-                await new Promise(resolve => setTimeout(resolve, 500));
-                
-            } catch (error) {
-                console.error(`❌ Error processing channel ${channelId}:`, error.message);
-            }
-        }
+        const sources = [
+            ...videoLinks.map(value => ({ type: 'video', value })),
+            ...channelIds.map(value => ({ type: 'channel', value })),
+            ...playlistIds.map(value => ({ type: 'playlist', value })),
+            ...searchQueries.map(value => ({ type: 'search', value })),
+            ...shortsChannelIds.map(value => ({ type: 'shorts', value })),
+            ...extraSources
+        ];
+        console.log(`🎯 Collecting videos from ${sources.length} source(s)...`);
+        const videoIds = new Set(await collectVideoIds(sources, { maxResults, publishedAfter, publishedBefore }));
         
         console.log(`\n📝 Processing ${videoIds.size} total videos...`);
         
         const videoIdsArray = Array.from(videoIds);
-        let processedResults = [];
         
         // Use batch processing if enabled and we have multiple videos
         if (smartFetch.config.batchProcessing && videoIdsArray.length > 1) {
             processedResults = await processVideosBatch(videoIdsArray, 3);
         } else {
+            // Look every video up in batches of 50 first; fetchVideoDetails then reads the cache
+            try {
+                await getYouTubeClient().getVideos(videoIdsArray);
+            } catch (error) {
+                console.error(`❌ Could not look up videos:`, error.message);
+            }
+
             // Process each video individually
             let processedCount = 0;
             for (const id of videoIds) {
                 processedCount++;
                 console.log(`\n🎯 [${processedCount}/${videoIds.size}] Processing video: ${id}`);
-                const result = await fetchVideoDetails(id);
+                let result;
+                try {
+                    result = await fetchVideoDetails(id);
+                } catch (error) {
+                    // Only quota errors get here; the rest of the videos wait for tomorrow's quota
+                    console.error(`❌ ${error.message}`);
+                    console.log(`⏸️ Deferring ${videoIds.size - processedCount + 1} video(s) until the quota resets`);
+                    break;
+                }
                 if (result) processedResults.push(result);
                 
                 // Rate limiting delay
@@ -617,6 +890,7 @@ async function runAll() {
         
         // Print final statistics
         await smartFetch.printStats();
+        await printQuotaStats();
         
         console.log('\n✅ Enhanced SmartFetch completed successfully');
         console.log(`📊 Total videos processed: ${videoIds.size}`);
@@ -634,14 +908,27 @@ async function runAll() {
     } catch (error) {
         console.error('❌ Error in runAll:', error.message);
     }
+
+    return processedResults;
 }
 
 // Export for potential use as module
 module.exports = {
     SmartFetch,
+    AI_MODES,
     runAll,
+    getSmartFetch,
+    configureSmartFetch,
+    extractVideoIdFromUrl,
     fetchVideoDetails,
     fetchChannelVideos,
+    fetchChannelVideoItems,
+    fetchPlaylistVideos,
+    fetchShortsVideos,
+    searchVideoIds,
+    collectVideoIds,
+    SOURCE_TYPES,
+    printQuotaStats,
     processVideosBatch,
     enhancedExtractFromTranscript
 };
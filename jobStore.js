@@ -0,0 +1,273 @@
+// jobStore.js - Append-only JSONL store for failed AI requests and their retries
+//
+// Every change is one appended line, so concurrent writers never clobber each
+// other's records and a crash loses at most the line being written:
+//   {"op":"prompt","hash":"…","text":"…"}        prompt text, stored once per distinct prompt
+//   {"op":"add","job":{id, videoId, promptHash, error, errorType, …}}
+//   {"op":"update","id":"…","changes":{…}}
+//   {"op":"remove","id":"…"}
+// compact() rewrites the file (temp file + rename) with only the live state.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Compact once the log holds this many more lines than live records
+const COMPACT_SLACK = 500;
+
+// Rate limits, outages and timeouts are worth retrying; validation failures may need a new prompt
+function classifyError(error) {
+    const message = String(error?.message || error || '');
+    const status = error?.status || Number((message.match(/API error: (\d{3})/) || [])[1]);
+
+    if (status === 429) return 'rate_limit';
+    if (status === 401 || status === 403) return 'auth';
+    if (status >= 500) return 'server';
+    if (status >= 400) return 'request';
+    if (error?.name === 'AbortError' || /abort|timed? ?out/i.test(message)) return 'timeout';
+    if (/failed validation|malformed json|no json object/i.test(message)) return 'validation';
+    if (/budget/i.test(message)) return 'budget';
+    if (/fetch failed|ECONNREFUSED|ENOTFOUND|ECONNRESET/i.test(message)) return 'network';
+    return 'other';
+}
+
+class JobStore {
+    constructor(file = 'failed-ai-requests.jsonl') {
+        this.file = file;
+        this.loaded = false;
+        this.jobs = new Map();
+        this.prompts = new Map();
+        this.byVideo = new Map();
+        this.byErrorType = new Map();
+        this.lines = 0;
+        // Set when the log ends in a torn line, so the next append starts a fresh one
+        this.tornTail = false;
+        // Appends run one at a time so lines from one process never interleave
+        this.writeChain = Promise.resolve();
+    }
+
+    static hashPrompt(text) {
+        return crypto.createHash('sha256').update(text || '').digest('hex').substring(0, 16);
+    }
+
+    index(map, key, id) {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(id);
+    }
+
+    unindex(map, key, id) {
+        const ids = map.get(key);
+        if (!ids) return;
+        ids.delete(id);
+        if (ids.size === 0) map.delete(key);
+    }
+
+    apply(entry) {
+        switch (entry.op) {
+            case 'prompt':
+                this.prompts.set(entry.hash, entry.text);
+                break;
+
+            case 'add':
+                this.jobs.set(entry.job.id, entry.job);
+                this.index(this.byVideo, entry.job.videoId, entry.job.id);
+                this.index(this.byErrorType, entry.job.errorType, entry.job.id);
+                break;
+
+            case 'update': {
+                const job = this.jobs.get(entry.id);
+                if (!job) break;
+                if (entry.changes.errorType && entry.changes.errorType !== job.errorType) {
+                    this.unindex(this.byErrorType, job.errorType, job.id);
+                    this.index(this.byErrorType, entry.changes.errorType, job.id);
+                }
+                Object.assign(job, entry.changes);
+                break;
+            }
+
+            case 'remove': {
+                const job = this.jobs.get(entry.id);
+                if (!job) break;
+                this.jobs.delete(entry.id);
+                this.unindex(this.byVideo, job.videoId, job.id);
+                this.unindex(this.byErrorType, job.errorType, job.id);
+                break;
+            }
+        }
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        if (!fs.existsSync(this.file)) return;
+
+        const content = fs.readFileSync(this.file, 'utf8');
+        this.tornTail = content.length > 0 && !content.endsWith('\n');
+        const lines = content.split('\n');
+        let skipped = 0;
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            this.lines++;
+            try {
+                this.apply(JSON.parse(line));
+            } catch (err) {
+                // A half-written last line from a crash; everything before it is intact
+                skipped++;
+            }
+        }
+        if (skipped > 0) {
+            console.log(`⚠️ Skipped ${skipped} unreadable line(s) in ${this.file}`);
+        }
+    }
+
+    async append(entries) {
+        this.load();
+        entries.forEach(entry => this.apply(entry));
+        this.lines += entries.length;
+
+        const data = (this.tornTail ? '\n' : '') + entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        this.tornTail = false;
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.appendFile(this.file, data))
+            .catch(err => console.error(`❌ Failed to write ${this.file}:`, err.message));
+        await this.writeChain;
+
+        if (this.lines > this.jobs.size + this.prompts.size + COMPACT_SLACK) {
+            await this.compact();
+        }
+    }
+
+    // Job with its prompt text filled back in
+    hydrate(job) {
+        return { ...job, prompt: this.prompts.get(job.promptHash) || '' };
+    }
+
+    async add({ videoId, prompt, error, metadata = {}, timestamp = new Date().toISOString(), retryCount = 0, ...rest }) {
+        this.load();
+        const promptHash = JobStore.hashPrompt(prompt);
+        const job = {
+            id: crypto.randomUUID(),
+            videoId,
+            promptHash,
+            error: error?.message || String(error || ''),
+            errorType: rest.errorType || classifyError(error),
+            timestamp,
+            retryCount,
+            metadata,
+            ...rest
+        };
+
+        const entries = [];
+        if (!this.prompts.has(promptHash)) {
+            entries.push({ op: 'prompt', hash: promptHash, text: prompt });
+        }
+        entries.push({ op: 'add', job });
+        await this.append(entries);
+        return this.hydrate(job);
+    }
+
+    async update(id, changes) {
+        this.load();
+        if (!this.jobs.has(id)) return null;
+        await this.append([{ op: 'update', id, changes }]);
+        return this.hydrate(this.jobs.get(id));
+    }
+
+    async remove(ids) {
+        this.load();
+        const existing = ids.filter(id => this.jobs.has(id));
+        if (existing.length === 0) return 0;
+        await this.append(existing.map(id => ({ op: 'remove', id })));
+        return existing.length;
+    }
+
+    get(id) {
+        this.load();
+        const job = this.jobs.get(id);
+        return job ? this.hydrate(job) : null;
+    }
+
+    all() {
+        this.load();
+        return [...this.jobs.values()].map(job => this.hydrate(job));
+    }
+
+    findByVideo(videoId) {
+        this.load();
+        return [...(this.byVideo.get(videoId) || [])].map(id => this.hydrate(this.jobs.get(id)));
+    }
+
+    findByErrorType(errorType) {
+        this.load();
+        return [...(this.byErrorType.get(errorType) || [])].map(id => this.hydrate(this.jobs.get(id)));
+    }
+
+    countByErrorType() {
+        this.load();
+        return Object.fromEntries([...this.byErrorType].map(([type, ids]) => [type, ids.size]));
+    }
+
+    // Rewrite the log as live state only: unreferenced prompts and old events are dropped
+    async compact() {
+        this.load();
+        await this.writeChain;
+
+        const jobs = [...this.jobs.values()];
+        const used = new Set(jobs.map(job => job.promptHash));
+        for (const hash of [...this.prompts.keys()]) {
+            if (!used.has(hash)) this.prompts.delete(hash);
+        }
+
+        const entries = [
+            ...[...this.prompts].map(([hash, text]) => ({ op: 'prompt', hash, text })),
+            ...jobs.map(job => ({ op: 'add', job }))
+        ];
+        const data = entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '');
+
+        const tempFile = `${this.file}.tmp`;
+        let compacted = false;
+        // A failed rewrite leaves the old log in place; it's still a valid log
+        this.writeChain = this.writeChain
+            .then(async () => {
+                await fs.promises.writeFile(tempFile, data);
+                await fs.promises.rename(tempFile, this.file);
+                compacted = true;
+                this.tornTail = false;
+            })
+            .catch(err => console.error(`❌ Failed to compact ${this.file}:`, err.message));
+        await this.writeChain;
+        if (compacted) this.lines = entries.length;
+    }
+
+    /**
+     * Imports the old single-file failed-ai-requests.json array. Records already
+     * imported (same videoId + timestamp) are skipped, so it is safe to rerun.
+     * @returns {Promise<number>} Number of records imported.
+     */
+    async importLegacy(legacyFile) {
+        this.load();
+        if (!fs.existsSync(legacyFile)) return 0;
+
+        let records;
+        try {
+            records = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+        } catch (err) {
+            console.error(`❌ Could not read ${legacyFile}:`, err.message);
+            return 0;
+        }
+        if (!Array.isArray(records)) return 0;
+
+        let imported = 0;
+        for (const record of records) {
+            const duplicate = this.findByVideo(record.videoId)
+                .some(job => job.timestamp === record.timestamp);
+            if (duplicate) continue;
+
+            const { videoId, prompt, error, timestamp, retryCount = 0, metadata = {}, ...rest } = record;
+            await this.add({ videoId, prompt, error: { message: error }, timestamp, retryCount, metadata, ...rest });
+            imported++;
+        }
+        return imported;
+    }
+}
+
+module.exports = { JobStore, classifyError };
@@ -0,0 +1,236 @@
+// llmProviders.js - Chat completion backends for AI post-processing and the NLP fallback
+
+require('dotenv').config();
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_MAX_TOKENS = 400;
+
+// Provider names accepted by createLLMProvider / aiProvider / AI_PROVIDER
+const PROVIDERS = {
+    OPENAI: 'openai',
+    ANTHROPIC: 'anthropic',
+    AZURE: 'azure',
+    OPENAI_COMPATIBLE: 'openai-compatible'
+};
+
+// Local servers (Ollama, llama.cpp server, LM Studio) all speak the OpenAI API
+const PROVIDER_ALIASES = {
+    'azure-openai': PROVIDERS.AZURE,
+    local: PROVIDERS.OPENAI_COMPATIBLE,
+    ollama: PROVIDERS.OPENAI_COMPATIBLE,
+    'llama.cpp': PROVIDERS.OPENAI_COMPATIBLE,
+    llamacpp: PROVIDERS.OPENAI_COMPATIBLE
+};
+
+const DEFAULT_MODELS = {
+    [PROVIDERS.OPENAI]: 'gpt-3.5-turbo',
+    [PROVIDERS.ANTHROPIC]: 'claude-3-5-haiku-latest',
+    [PROVIDERS.AZURE]: 'gpt-35-turbo',
+    [PROVIDERS.OPENAI_COMPATIBLE]: 'llama3.1'
+};
+
+function resolveProviderName(name) {
+    const lower = (name || PROVIDERS.OPENAI).toLowerCase().trim();
+    return PROVIDER_ALIASES[lower] || lower;
+}
+
+// Local endpoints usually run without authentication
+function providerRequiresApiKey(name) {
+    return resolveProviderName(name) !== PROVIDERS.OPENAI_COMPATIBLE;
+}
+
+class LLMProvider {
+    constructor(config = {}) {
+        this.name = config.name;
+        this.apiKey = config.apiKey || '';
+        this.model = config.model || DEFAULT_MODELS[this.name];
+        this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+        this.timeout = config.timeout || DEFAULT_TIMEOUT;
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl) && (!providerRequiresApiKey(this.name) || Boolean(this.apiKey));
+    }
+
+    async postJSON(url, headers, body) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                const error = new Error(`${this.name} API error: ${response.status} ${response.statusText} - ${errorText}`);
+                error.status = response.status;
+                error.headers = response.headers;
+                throw error;
+            }
+
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Sends one chat turn.
+     * @param {{system?: string, prompt: string, temperature?: number, maxTokens?: number}} request
+     * @returns {Promise<{text: string, model: string, usage: {inputTokens: number, outputTokens: number}}>}
+     */
+    async complete() {
+        throw new Error(`${this.name} provider does not implement complete()`);
+    }
+}
+
+// OpenAI and anything that speaks its /chat/completions API
+class OpenAIProvider extends LLMProvider {
+    chatUrl() {
+        return `${this.baseUrl}/chat/completions`;
+    }
+
+    authHeaders() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+
+    async complete({ system, prompt, temperature = 0.1, maxTokens = DEFAULT_MAX_TOKENS }) {
+        const messages = [];
+        if (system) messages.push({ role: 'system', content: system });
+        messages.push({ role: 'user', content: prompt });
+
+        const data = await this.postJSON(this.chatUrl(), this.authHeaders(), {
+            model: this.model,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+        });
+
+        if (!data.choices || data.choices.length === 0) {
+            throw new Error(`No response from ${this.name} API`);
+        }
+
+        return {
+            text: data.choices[0].message?.content || '',
+            model: data.model || this.model,
+            usage: {
+                inputTokens: data.usage?.prompt_tokens || 0,
+                outputTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
+
+// Azure routes by deployment name and authenticates with an api-key header
+class AzureOpenAIProvider extends OpenAIProvider {
+    constructor(config = {}) {
+        super(config);
+        this.apiVersion = config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+    }
+
+    chatUrl() {
+        return `${this.baseUrl}/openai/deployments/${encodeURIComponent(this.model)}/chat/completions?api-version=${this.apiVersion}`;
+    }
+
+    authHeaders() {
+        return { 'api-key': this.apiKey };
+    }
+}
+
+class AnthropicProvider extends LLMProvider {
+    async complete({ system, prompt, temperature = 0.1, maxTokens = DEFAULT_MAX_TOKENS }) {
+        const data = await this.postJSON(`${this.baseUrl}/v1/messages`, {
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        }, {
+            model: this.model,
+            ...(system ? { system } : {}),
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            max_tokens: maxTokens
+        });
+
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        if (!text) {
+            throw new Error(`No response from ${this.name} API`);
+        }
+
+        return {
+            text,
+            model: data.model || this.model,
+            usage: {
+                inputTokens: data.usage?.input_tokens || 0,
+                outputTokens: data.usage?.output_tokens || 0
+            }
+        };
+    }
+}
+
+/**
+ * Builds the provider for `aiProvider` / AI_PROVIDER. Missing settings fall back to
+ * environment variables: AI_BASE_URL, AI_MODEL, AI_API_KEY and the provider's own key
+ * (OPENAI_API_KEY, ANTHROPIC_API_KEY, AZURE_OPENAI_API_KEY / AZURE_OPENAI_ENDPOINT).
+ *
+ * @param {{provider?: string, apiKey?: string, model?: string, baseUrl?: string, timeout?: number, apiVersion?: string}} [config]
+ * @returns {LLMProvider}
+ */
+function createLLMProvider(config = {}) {
+    const name = resolveProviderName(config.provider || process.env.AI_PROVIDER);
+    const baseUrl = config.baseUrl || process.env.AI_BASE_URL;
+    const model = config.model || process.env.AI_MODEL;
+    const common = { name, model, timeout: config.timeout };
+
+    switch (name) {
+        case PROVIDERS.OPENAI:
+            return new OpenAIProvider({
+                ...common,
+                apiKey: config.apiKey || process.env.AI_API_KEY || process.env.OPENAI_API_KEY,
+                baseUrl: baseUrl || 'https://api.openai.com/v1'
+            });
+
+        case PROVIDERS.OPENAI_COMPATIBLE:
+            return new OpenAIProvider({
+                ...common,
+                apiKey: config.apiKey || process.env.AI_API_KEY,
+                // Ollama's default; llama.cpp server listens on :8080/v1
+                baseUrl: baseUrl || 'http://localhost:11434/v1'
+            });
+
+        case PROVIDERS.AZURE:
+            return new AzureOpenAIProvider({
+                ...common,
+                apiKey: config.apiKey || process.env.AZURE_OPENAI_API_KEY || process.env.AI_API_KEY,
+                baseUrl: baseUrl || process.env.AZURE_OPENAI_ENDPOINT,
+                apiVersion: config.apiVersion
+            });
+
+        case PROVIDERS.ANTHROPIC:
+            return new AnthropicProvider({
+                ...common,
+                apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY || process.env.AI_API_KEY,
+                baseUrl: baseUrl || 'https://api.anthropic.com'
+            });
+
+        default:
+            throw new Error(`Unknown AI provider "${config.provider || process.env.AI_PROVIDER}" (expected ${Object.values(PROVIDERS).join('/')})`);
+    }
+}
+
+module.exports = {
+    createLLMProvider,
+    providerRequiresApiKey,
+    resolveProviderName,
+    LLMProvider,
+    OpenAIProvider,
+    AzureOpenAIProvider,
+    AnthropicProvider,
+    PROVIDERS,
+    DEFAULT_MODELS
+};
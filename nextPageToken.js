@@ -1,10 +1,7 @@
 // nextPageToken.js - CORRECTED VERSION
 
-const axios = require('axios');
-const axiosRetry = require('axios-retry');
-
-// Configure axios retry
-axiosRetry(axios, { retries: 3 });
+// Calls go through the shared client, which retries and meters quota
+const { getYouTubeClient, isQuotaError } = require('./youtubeClient');
 
 const cache = new Map();
 
@@ -17,54 +14,217 @@ async function getCachedOrFetch(url, params) {
     }
 
     try {
-        const res = await axios.get(url, { params });
-        cache.set(key, res.data);
-        return res.data;
+        // e.g. https://www.googleapis.com/youtube/v3/channels -> channels
+        const data = await getYouTubeClient().request(url.split('/').pop(), params);
+        cache.set(key, data);
+        return data;
     } catch (error) {
         console.error('Error in getCachedOrFetch:', error.message);
         throw error;
     }
 }
 
-async function fetchAllVideos(channelId, apiKey) {
-    if (!channelId || !apiKey) {
-        throw new Error('channelId and apiKey are required');
+const API_BASE = 'https://www.googleapis.com/youtube/v3';
+
+// A channel's uploads playlist never changes, so the lookup is cached
+async function fetchUploadsPlaylistId(channelId, apiKey) {
+    const data = await getCachedOrFetch(`${API_BASE}/channels`, {
+        key: apiKey,
+        id: channelId,
+        part: 'contentDetails'
+    });
+
+    const uploads = data.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
+    if (!uploads) {
+        throw new Error(`Channel ${channelId} not found or has no uploads playlist`);
+    }
+    return uploads;
+}
+
+function isInRange(publishedAt, { publishedAfter, publishedBefore }) {
+    const time = Date.parse(publishedAt);
+    if (publishedAfter && time < Date.parse(publishedAfter)) return false;
+    if (publishedBefore && time >= Date.parse(publishedBefore)) return false;
+    return true;
+}
+
+/**
+ * Pages through playlistItems.list (1 quota unit per page of 50). Pages are not
+ * cached, so repeated calls see newly added videos. Private and deleted videos
+ * are skipped.
+ *
+ * @param {{maxResults?: number, publishedAfter?: string, publishedBefore?: string, newestFirst?: boolean}} [options]
+ *   Dates are ISO strings compared with the video's publish time. `newestFirst`
+ *   (true for uploads playlists) stops paging at the first video older than
+ *   `publishedAfter` instead of reading the whole playlist.
+ * @returns {Promise<{videoId: string, publishedAt: string, title: string, description: string, channelId: string, channelTitle: string, thumbnails: object}[]>}
+ */
+async function fetchPlaylistItems(playlistId, apiKey, options = {}) {
+    const { maxResults = Infinity, newestFirst = false } = options;
+    const filtered = Boolean(options.publishedAfter || options.publishedBefore);
+    const items = [];
+    let nextPageToken = '';
+
+    do {
+        try {
+            const data = await getYouTubeClient().request('playlistItems', {
+                key: apiKey,
+                playlistId,
+                part: 'snippet,contentDetails',
+                // Filtering drops items, so always ask for full pages then
+                maxResults: filtered ? 50 : Math.min(50, maxResults - items.length),
+                pageToken: nextPageToken || undefined
+            });
+
+            let reachedOlder = false;
+            for (const item of data.items || []) {
+                // Private and deleted videos have no publish time
+                const publishedAt = item.contentDetails?.videoPublishedAt;
+                if (!publishedAt) continue;
+
+                if (newestFirst && options.publishedAfter && Date.parse(publishedAt) < Date.parse(options.publishedAfter)) {
+                    reachedOlder = true;
+                    break;
+                }
+                if (!isInRange(publishedAt, options)) continue;
+
+                items.push({
+                    videoId: item.contentDetails.videoId,
+                    publishedAt,
+                    title: item.snippet.title,
+                    description: item.snippet.description,
+                    channelId: item.snippet.videoOwnerChannelId || item.snippet.channelId,
+                    channelTitle: item.snippet.videoOwnerChannelTitle || item.snippet.channelTitle,
+                    thumbnails: item.snippet.thumbnails
+                });
+                if (items.length >= maxResults) break;
+            }
+
+            nextPageToken = reachedOlder || items.length >= maxResults ? '' : (data.nextPageToken || '');
+
+        } catch (error) {
+            // Out of quota: callers stop and leave the rest for the next run
+            if (isQuotaError(error)) throw error;
+            // Other API errors: keep the pages fetched so far
+            console.error(`Error fetching playlist ${playlistId}:`, error.message);
+            break;
+        }
+    } while (nextPageToken);
+
+    return items;
+}
+
+/**
+ * A channel's uploads, newest first, from its uploads playlist. Costs 1 unit for
+ * the channel lookup plus 1 per page, against 100 per page with search.list.
+ * @param {{maxResults?: number, publishedAfter?: string, publishedBefore?: string}} [options]
+ */
+async function fetchChannelUploads(channelId, apiKey, options = {}) {
+    const uploadsPlaylistId = await fetchUploadsPlaylistId(channelId, apiKey);
+    return fetchPlaylistItems(uploadsPlaylistId, apiKey, { ...options, newestFirst: true });
+}
+
+/**
+ * A channel's Shorts, newest first. YouTube keeps them in a playlist named after
+ * the channel with UUSH in place of UC; it is undocumented, so a channel whose
+ * Shorts playlist can't be read just yields [].
+ * @param {{maxResults?: number, publishedAfter?: string, publishedBefore?: string}} [options]
+ */
+async function fetchChannelShorts(channelId, apiKey, options = {}) {
+    if (!/^UC[\w-]{22}$/.test(channelId)) {
+        throw new Error(`Shorts need a channel ID starting with UC, got "${channelId}"`);
     }
+    return fetchPlaylistItems(`UUSH${channelId.slice(2)}`, apiKey, { ...options, newestFirst: true });
+}
 
-    let videos = [];
+/**
+ * Videos matching a search query, newest first. search.list costs 100 units per
+ * page of 50, so keep `maxResults` small.
+ * @param {{maxResults?: number, publishedAfter?: string, publishedBefore?: string, order?: string}} [options]
+ *   Dates are ISO strings; `order` is a search.list order (default 'date').
+ * @returns {Promise<{videoId: string, publishedAt: string, title: string, description: string, channelId: string, channelTitle: string, thumbnails: object}[]>}
+ */
+async function searchVideos(query, apiKey, options = {}) {
+    const { maxResults = 25, order = 'date' } = options;
+    const videos = [];
     let nextPageToken = '';
-    const baseUrl = `https://www.googleapis.com/youtube/v3/search`;
 
     do {
         try {
-            const data = await getCachedOrFetch(baseUrl, {
+            const data = await getYouTubeClient().request('search', {
                 key: apiKey,
-                channelId,
+                q: query,
                 part: 'snippet',
                 type: 'video',
-                maxResults: 50,
-                order: 'date',
-                pageToken: nextPageToken,
+                order,
+                maxResults: Math.min(50, maxResults - videos.length),
+                publishedAfter: options.publishedAfter,
+                publishedBefore: options.publishedBefore,
+                pageToken: nextPageToken || undefined
             });
 
-            videos.push(...data.items);
-            nextPageToken = data.nextPageToken || '';
-            
-            // Add delay to respect rate limits
-            if (nextPageToken) {
-                await new Promise(resolve => setTimeout(resolve, 100));
+            for (const item of data.items || []) {
+                videos.push({
+                    videoId: item.id.videoId,
+                    publishedAt: item.snippet.publishedAt,
+                    title: item.snippet.title,
+                    description: item.snippet.description,
+                    channelId: item.snippet.channelId,
+                    channelTitle: item.snippet.channelTitle,
+                    thumbnails: item.snippet.thumbnails
+                });
             }
-            
+            nextPageToken = videos.length < maxResults ? (data.nextPageToken || '') : '';
+
         } catch (error) {
-            console.error('Error fetching videos:', error.message);
+            if (isQuotaError(error)) throw error;
+            // Other API errors: keep the pages fetched so far
+            console.error(`Error searching for "${query}":`, error.message);
             break;
         }
     } while (nextPageToken);
 
-    return videos;
+    return videos.slice(0, maxResults);
+}
+
+/**
+ * The channel's whole back catalog (or the part within the date range), as
+ * search.list-style items ({ id: { videoId }, snippet }) as this used to return.
+ */
+async function fetchAllVideos(channelId, apiKey, options = {}) {
+    if (!channelId || !apiKey) {
+        throw new Error('channelId and apiKey are required');
+    }
+
+    let uploads;
+    try {
+        uploads = await fetchChannelUploads(channelId, apiKey, options);
+    } catch (error) {
+        if (isQuotaError(error)) throw error;
+        console.error('Error fetching videos:', error.message);
+        return [];
+    }
+
+    return uploads.map(video => ({
+        kind: 'youtube#searchResult',
+        id: { kind: 'youtube#video', videoId: video.videoId },
+        snippet: {
+            publishedAt: video.publishedAt,
+            channelId: video.channelId,
+            title: video.title,
+            description: video.description,
+            thumbnails: video.thumbnails,
+            channelTitle: video.channelTitle
+        }
+    }));
 }
 
 module.exports = {
     fetchAllVideos,
+    fetchChannelUploads,
+    fetchChannelShorts,
+    fetchPlaylistItems,
+    searchVideos,
+    fetchUploadsPlaylistId,
     getCachedOrFetch
 };
@@ -1,79 +1,112 @@
-// nlpFallback.js - COMPLETE CORRECTED VERSION
+// nlpFallback.js - LLM extraction of promo codes and discounts straight from transcript text
 
-const { OpenAI } = require("openai");
+const Joi = require('joi');
+const { createLLMProvider } = require("./llmProviders");
+const { selectPromptChunks, estimateTokens } = require('./transcriptChunker');
+const { getPrompt, renderPrompt } = require('./promptTemplates');
 require("dotenv").config();
 
-if (!process.env.OPENAI_API_KEY) {
-    console.warn("⚠️ OPENAI_API_KEY not found. NLP fallback will be disabled.");
+// Same backend as the AI post-processor: AI_PROVIDER / AI_BASE_URL / AI_MODEL.
+// Created on first use so callers that pass their own provider see no warnings.
+let llm;
+function getDefaultProvider() {
+    if (llm !== undefined) return llm;
+
+    llm = null;
+    try {
+        llm = createLLMProvider();
+    } catch (e) {
+        console.warn(`⚠️ ${e.message}. NLP fallback will be disabled.`);
+    }
+
+    if (llm && !llm.isConfigured()) {
+        console.warn(`⚠️ No API key for ${llm.name}. NLP fallback will be disabled.`);
+    }
+    return llm;
+}
+
+const EXTRACTION_SCHEMA = Joi.object({
+    codes: Joi.array().items(Joi.string().trim().uppercase().min(1).max(30)).default([]),
+    percent_off: Joi.array().items(Joi.number().min(0).max(100)).default([]),
+    flat_discount: Joi.array().items(Joi.number().min(0)).default([]),
+    confidence: Joi.number().min(0).max(1).default(0)
+}).options({ stripUnknown: true });
+
+function emptyResult() {
+    return {
+        codes: [],
+        percent_off: [],
+        flat_discount: [],
+        confidence: 0,
+        chunks: 0,
+        failedChunks: 0
+    };
+}
+
+function generateExtractionPrompt(text, template = getPrompt('extract')) {
+    return renderPrompt(template, { text });
 }
 
-const openai = new OpenAI({ 
-    apiKey: process.env.OPENAI_API_KEY 
-});
-
-async function nlpFallback(text) {
-    if (!process.env.OPENAI_API_KEY) {
-        console.log("⚠️ OpenAI API key not available, skipping NLP fallback");
-        return {
-            codes: [],
-            percent_off: [],
-            flat_discount: [],
-            confidence: 0
-        };
+function parseExtraction(responseText) {
+    // Local models like to wrap JSON in a code fence
+    const content = responseText.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+    const { value, error } = EXTRACTION_SCHEMA.validate(JSON.parse(content));
+    if (error) throw new Error(`Invalid extraction response: ${error.message}`);
+    return value;
+}
+
+/**
+ * Asks the LLM for codes and discounts in `text`, one request per chunk, and merges
+ * the answers (confidence is the best chunk's).
+ *
+ * @param {string} text Transcript or post text.
+ * @param {{llm?: object, schedule?: Function, chunks?: string[], template?: object}} [options]
+ *   `llm` overrides the env-configured provider; `schedule(fn)` runs each request
+ *   (e.g. through RateLimitedQueue) and defaults to calling it directly; `chunks`
+ *   are the excerpts to send (default: selectPromptChunks(text)); `template` is an
+ *   extract prompt from promptTemplates (default: the configured version).
+ * @returns {Promise<{codes: string[], percent_off: number[], flat_discount: number[], confidence: number, chunks: number, failedChunks: number}>}
+ */
+async function nlpFallback(text, options = {}) {
+    const provider = options.llm || getDefaultProvider();
+    const schedule = options.schedule || (fn => fn());
+
+    if (!provider || !provider.isConfigured()) {
+        console.log("⚠️ AI provider not available, skipping NLP fallback");
+        return emptyResult();
     }
 
     if (!text || typeof text !== 'string') {
         console.error("⚠️ Invalid input text provided");
-        return {
-            codes: [],
-            percent_off: [],
-            flat_discount: [],
-            confidence: 0
-        };
+        return emptyResult();
     }
 
-    const prompt = `
-Extract any promo codes or discounts from this text: "${text}"
+    const chunks = options.chunks || selectPromptChunks(text);
+    const merged = emptyResult();
+    merged.chunks = chunks.length;
 
-Return this JSON format:
-{
-    "codes": ["string"],
-    "percent_off": [number],
-    "flat_discount": [number],
-    "confidence": 0.0
-}`;
-
-    try {
-        const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
-            messages: [{ role: "user", content: prompt }],
-            temperature: 0.1,
-            max_tokens: 200
-        });
-
-        if (!completion.choices || completion.choices.length === 0) {
-            throw new Error("No response from OpenAI API");
-        }
+    for (const [index, chunk] of chunks.entries()) {
+        try {
+            const prompt = generateExtractionPrompt(chunk, options.template);
+            const completion = await schedule(() => provider.complete({
+                prompt,
+                temperature: 0.1,
+                maxTokens: 200
+            }), { chunk: index + 1, chunks: chunks.length, estimatedTokens: estimateTokens(prompt) + 200 });
 
-        const result = JSON.parse(completion.choices[0].message.content);
-        
-        // Validate the response structure
-        return {
-            codes: Array.isArray(result.codes) ? result.codes : [],
-            percent_off: Array.isArray(result.percent_off) ? result.percent_off : [],
-            flat_discount: Array.isArray(result.flat_discount) ? result.flat_discount : [],
-            confidence: typeof result.confidence === 'number' ? result.confidence : 0
-        };
+            const result = parseExtraction(completion.text);
+            merged.codes.push(...result.codes.filter(code => !merged.codes.includes(code)));
+            merged.percent_off.push(...result.percent_off.filter(value => !merged.percent_off.includes(value)));
+            merged.flat_discount.push(...result.flat_discount.filter(value => !merged.flat_discount.includes(value)));
+            merged.confidence = Math.max(merged.confidence, result.confidence);
 
-    } catch (e) {
-        console.error("⚠️ NLP Fallback error:", e.message);
-        return {
-            codes: [],
-            percent_off: [],
-            flat_discount: [],
-            confidence: 0
-        };
+        } catch (e) {
+            merged.failedChunks++;
+            console.error(`⚠️ NLP Fallback error (chunk ${index + 1}/${chunks.length}):`, e.message);
+        }
     }
-} // ← ADD THIS MISSING CLOSING BRACE
+
+    return merged;
+}
 
 module.exports = nlpFallback;
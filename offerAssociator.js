@@ -0,0 +1,101 @@
+// offerAssociator.js - Pair each code with the merchant, link and discount mentioned closest to it
+
+const { getCodeConfidence } = require('./scoreMatch');
+const { findLinkSponsor } = require('./sponsorDetector');
+
+// Mentions further than this many characters from a code are not associated with it
+const ASSOCIATION_WINDOW = 250;
+
+// Characters between two spans; 0 when they touch or overlap
+function spanDistance(a, b) {
+    return Math.max(0, b.start - a.end, a.start - b.end);
+}
+
+// Nearest candidate to any of the code's spans, within the association window
+function findNearest(spans, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+        for (const span of spans) {
+            const distance = spanDistance(span, candidate);
+            if (distance > ASSOCIATION_WINDOW) continue;
+            if (!best || distance < best.distance) {
+                best = { candidate, distance };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Builds one offer record per code: the code plus the nearest merchant name, link and discount.
+ * All offsets must refer to the same text.
+ *
+ * @param {{
+ *   codes: string[],
+ *   codeConfidence?: object,
+ *   evidence?: {codes?: object, links?: object},
+ *   offers?: Array<{kind: string, value: number|null, currency: string|null, conditions: string[], match: string, start: number, end: number}>,
+ *   mentions?: Array<{brand: string, start: number, end: number}>
+ * }} extraction extractCodes output plus sponsor mentions from sponsorDetector.findMentions.
+ * @returns {Array<{
+ *   code: string,
+ *   confidence: number,
+ *   merchant: string|null,
+ *   link: string|null,
+ *   discount: object|null,
+ *   start: number|null,
+ *   end: number|null,
+ *   distance: {merchant: number|null, link: number|null, discount: number|null}
+ * }>}
+ */
+function associateOffers({ codes = [], codeConfidence = {}, evidence = {}, offers = [], mentions = [] } = {}) {
+    const linkSpans = Object.entries(evidence.links || {}).flatMap(([link, records]) =>
+        (records || []).map(record => ({ link, start: record.start, end: record.end }))
+    );
+
+    return codes.map(code => {
+        const spans = (evidence.codes?.[code] || []).map(record => ({ start: record.start, end: record.end }));
+
+        const merchantMatch = findNearest(spans, mentions);
+        const discountMatch = findNearest(spans, offers);
+        let linkMatch = findNearest(spans, linkSpans);
+        let merchant = merchantMatch?.candidate.brand || null;
+
+        if (!merchant && linkMatch) {
+            // No brand named near the code: fall back to the brand behind its link
+            merchant = findLinkSponsor(linkMatch.candidate.link)?.brand || null;
+        } else if (merchant && !linkMatch) {
+            // Links usually live in the description, far from the spoken code
+            const merchantLink = linkSpans.find(span => findLinkSponsor(span.link)?.brand === merchant);
+            if (merchantLink) linkMatch = { candidate: merchantLink, distance: null };
+        }
+
+        const discount = discountMatch ? {
+            kind: discountMatch.candidate.kind,
+            value: discountMatch.candidate.value,
+            currency: discountMatch.candidate.currency,
+            conditions: discountMatch.candidate.conditions,
+            match: discountMatch.candidate.match
+        } : null;
+
+        return {
+            code,
+            confidence: getCodeConfidence(codeConfidence[code]),
+            merchant,
+            link: linkMatch?.candidate.link || null,
+            discount,
+            start: spans[0]?.start ?? null,
+            end: spans[0]?.end ?? null,
+            distance: {
+                merchant: merchantMatch ? merchantMatch.distance : null,
+                link: linkMatch ? linkMatch.distance : null,
+                discount: discountMatch ? discountMatch.distance : null
+            }
+        };
+    });
+}
+
+module.exports = {
+    associateOffers,
+    ASSOCIATION_WINDOW
+};
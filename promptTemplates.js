@@ -0,0 +1,65 @@
+// promptTemplates.js - Versioned AI prompt templates loaded from prompts/<name>-<version>.txt
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+// Versions in use per template; set in smartfetch-config.json (ai.prompts)
+const CONFIGURED_VERSIONS = config.loadConfig().ai?.prompts || {};
+
+const loaded = new Map();
+
+/**
+ * Loads prompts/<name>-<version>.txt. Templates use {{variable}} placeholders.
+ * @returns {{name: string, version: string, id: string, text: string}}
+ */
+function loadTemplate(name, version) {
+    const id = `${name}-${version}`;
+    if (loaded.has(id)) return loaded.get(id);
+
+    const templatePath = path.join(PROMPTS_DIR, `${id}.txt`);
+    if (!fs.existsSync(templatePath)) {
+        const available = listVersions(name);
+        throw new Error(`Unknown prompt template ${id} (available: ${available.length > 0 ? available.join(', ') : 'none'})`);
+    }
+
+    // Editors add a final newline; prompts shouldn't end with one
+    const text = fs.readFileSync(templatePath, 'utf-8').replace(/\r?\n$/, '');
+    const template = { name, version, id, text };
+    loaded.set(id, template);
+    return template;
+}
+
+// Template `name` at `version`, or at the configured version (v1 if unset)
+function getPrompt(name, version) {
+    return loadTemplate(name, version || CONFIGURED_VERSIONS[name] || 'v1');
+}
+
+function listVersions(name) {
+    if (!fs.existsSync(PROMPTS_DIR)) return [];
+    return fs.readdirSync(PROMPTS_DIR)
+        .map(file => file.match(new RegExp(`^${name}-(.+)\\.txt$`)))
+        .filter(Boolean)
+        .map(match => match[1])
+        .sort();
+}
+
+// Fills every {{variable}}; a placeholder without a value is a template bug, so it throws
+function renderPrompt(template, variables = {}) {
+    return template.text.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+        if (!(key in variables)) {
+            throw new Error(`Prompt template ${template.id} needs a value for {{${key}}}`);
+        }
+        return String(variables[key]);
+    });
+}
+
+module.exports = {
+    getPrompt,
+    loadTemplate,
+    listVersions,
+    renderPrompt,
+    PROMPTS_DIR
+};
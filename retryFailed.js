@@ -1,11 +1,30 @@
 // retryFailed.js - Script to retry failed AI requests
 
-const { EnhancedAIPostProcessor, FailureTracker } = require('./aiPostProcessor');
+const { EnhancedAIPostProcessor } = require('./aiPostProcessor');
+
+// Recover the transcript sample and extracted codes from a prompt built by generatePrompt
+function parseFailedPrompt(prompt = '') {
+    const codesMatch = prompt.match(/^- Codes found: (.*)$/m);
+    const textMatch = prompt.match(/SAMPLE TEXT[^\n]*\n"([\s\S]*?)"\n\nTASK:/);
+
+    let codes = [];
+    try {
+        codes = codesMatch ? JSON.parse(codesMatch[1]) : [];
+    } catch (error) {
+        codes = [];
+    }
+
+    return {
+        codes: Array.isArray(codes) ? codes : [],
+        originalText: textMatch && textMatch[1] !== 'N/A' ? textMatch[1] : ''
+    };
+}
 
 class FailedRequestRetrier {
     constructor(config = {}) {
         this.processor = new EnhancedAIPostProcessor(config);
-        this.failureTracker = new FailureTracker(config.failureFile);
+        // Share the processor's store so both see the same in-memory state
+        this.failureTracker = this.processor.failureTracker;
         this.maxRetries = config.maxRetries || 3;
         this.retryDelay = config.retryDelay || 2000;
     }
@@ -15,11 +34,14 @@ class FailedRequestRetrier {
             maxAge = 24 * 60 * 60 * 1000, // 24 hours
             skipRecentFailures = true,
             onlyVideoIds = null,
+            errorType = null,
             dryRun = false
         } = options;
 
         console.log('🔄 Loading failed requests...');
-        const failures = await this.failureTracker.getFailures();
+        const failures = errorType
+            ? await this.failureTracker.getFailuresByErrorType(errorType)
+            : await this.failureTracker.getFailures();
         
         if (failures.length === 0) {
             console.log('✅ No failed requests to retry');
@@ -75,40 +97,44 @@ class FailedRequestRetrier {
             
             try {
                 // Mark as being retried
-                await this.failureTracker.markRetried(failure.videoId, false);
+                await this.failureTracker.markJobRetried(failure.id, false);
                 
-                // Attempt the AI request again
-                const responseText = await this.processor.queue.add(
-                    () => this.processor.makeOpenAIRequest(failure.prompt),
-                    { videoId: failure.videoId, prompt: failure.prompt, isRetry: true }
+                // Attempt the AI request again, with the same validation and repair loop
+                const { aiResult } = await this.processor.requestValidatedResponse(
+                    failure.prompt,
+                    { videoId: failure.videoId, isRetry: true }
                 );
 
-                const aiResult = this.processor.parseAIResponse(responseText);
-                
-                if (aiResult) {
-                    console.log(`✅ Retry successful for ${failure.videoId} (confidence: ${aiResult.confidence.toFixed(2)})`);
-                    await this.failureTracker.markRetried(failure.videoId, true);
-                    successful++;
-                    
-                    // Optionally save the successful result
-                    if (options.saveResults) {
-                        await this.saveRetryResult(failure.videoId, aiResult, failure);
-                    }
-                } else {
-                    throw new Error('Failed to parse AI response on retry');
+                // Only the prompt survives a failure; ground against the text and codes it carried
+                const { originalText, codes } = parseFailedPrompt(failure.prompt);
+                const { grounded, dropped } = this.processor.groundValidCodes(
+                    aiResult.validCodes,
+                    originalText,
+                    { codes: failure.metadata?.codes || codes }
+                );
+                aiResult.validCodes = grounded;
+                aiResult.droppedCodes = dropped;
+                // The stored prompt was rendered from the template version of the original attempt
+                aiResult.promptVersion = failure.metadata?.promptVersion || 'unknown';
+                if (dropped.length > 0) {
+                    console.log(`⚠️ Dropped AI codes not found in transcript: ${dropped.join(', ')}`);
+                }
+
+                console.log(`✅ Retry successful for ${failure.videoId} (confidence: ${aiResult.confidence.toFixed(2)})`);
+                await this.failureTracker.markJobRetried(failure.id, true);
+                successful++;
+
+                // Optionally save the successful result
+                if (options.saveResults) {
+                    await this.saveRetryResult(failure.videoId, aiResult, failure);
                 }
                 
             } catch (error) {
                 console.log(`❌ Retry failed for ${failure.videoId}: ${error.message}`);
                 failed++;
                 
-                // Log the new failure
-                await this.failureTracker.logFailure(
-                    failure.videoId,
-                    failure.prompt,
-                    error,
-                    { ...failure.metadata, isRetry: true, originalFailure: failure.timestamp }
-                );
+                // Keep the latest error on the same record
+                await this.failureTracker.recordRetryError(failure.id, error);
             }
             
             // Small delay between retries
@@ -171,9 +197,9 @@ class FailedRequestRetrier {
             byError: {}
         };
 
-        // Group by error type
+        // Group by error type (rate_limit, server, timeout, validation, ...)
         failures.forEach(failure => {
-            const errorType = failure.error.split(':')[0] || 'Unknown';
+            const errorType = failure.errorType || 'other';
             stats.byError[errorType] = (stats.byError[errorType] || 0) + 1;
         });
 
@@ -182,12 +208,11 @@ class FailedRequestRetrier {
 }
 
 // CLI interface
-async function main() {
-    const args = process.argv.slice(2);
+async function main(args = process.argv.slice(2)) {
     const command = args[0];
 
     const retrier = new FailedRequestRetrier({
-        apiKey: process.env.OPENAI_API_KEY,
+        // Provider, model and key come from AI_PROVIDER / AI_MODEL / AI_BASE_URL and the provider's key
         failureFile: 'failed-ai-requests.json',
         requestsPerMinute: 15 // More conservative for retries
     });
@@ -198,10 +223,14 @@ async function main() {
             const maxAge = args.includes('--max-age') ? 
                 parseInt(args[args.indexOf('--max-age') + 1]) * 60 * 60 * 1000 : 
                 24 * 60 * 60 * 1000;
+            const errorType = args.includes('--error-type') ? args[args.indexOf('--error-type') + 1] : null;
+            const onlyVideoIds = args.includes('--video') ? [args[args.indexOf('--video') + 1]] : null;
             
             await retrier.retryAll({ 
                 dryRun, 
                 maxAge,
+                errorType,
+                onlyVideoIds,
                 saveResults: !dryRun 
             });
             break;
@@ -223,14 +252,41 @@ async function main() {
             await retrier.failureTracker.clearResolved();
             break;
 
+        case 'show': {
+            const videoId = args[1];
+            const failures = await retrier.failureTracker.getFailuresForVideo(videoId);
+            console.log(`\n📋 ${failures.length} failure(s) for ${videoId}:`);
+            failures.forEach(failure => {
+                console.log(`   ${failure.timestamp} [${failure.errorType}] retries: ${failure.retryCount || 0}${failure.resolved ? ' (resolved)' : ''}`);
+                console.log(`      ${failure.error}`);
+            });
+            break;
+        }
+
+        case 'migrate': {
+            const imported = await retrier.failureTracker.migrate();
+            console.log(imported > 0 ? `✅ Migration complete` : `ℹ️ Nothing to migrate (${retrier.failureTracker.failureFile} already exists or no legacy file)`);
+            break;
+        }
+
+        case 'compact':
+            await retrier.failureTracker.migrate();
+            await retrier.failureTracker.store.compact();
+            console.log(`🗜️ Compacted ${retrier.failureTracker.failureFile}`);
+            break;
+
         default:
             console.log(`
 Usage: node retryFailed.js <command> [options]
 
 Commands:
   retry [--dry-run] [--max-age HOURS]  Retry failed requests
+        [--error-type TYPE] [--video ID] Only rate_limit/server/timeout/validation/... or one video
   stats                                Show failure statistics  
+  show VIDEO_ID                        List failures recorded for one video
   clean                                Remove resolved failures
+  migrate                              Import failed-ai-requests.json into the job store
+  compact                              Rewrite the job store without superseded entries
 
 Examples:
   node retryFailed.js retry --dry-run          # Preview what would be retried
@@ -238,12 +294,13 @@ Examples:
   node retryFailed.js retry                    # Actually retry failures
   node retryFailed.js stats                    # Show failure statistics
   node retryFailed.js clean                    # Clean up resolved failures
+  node retryFailed.js retry --error-type rate_limit   # Retry only rate-limited requests
             `);
     }
 }
 
 // Export for use as module
-module.exports = { FailedRequestRetrier };
+module.exports = { FailedRequestRetrier, main };
 
 // Run CLI if called directly
 if (require.main === module) {
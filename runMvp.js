@@ -3,17 +3,16 @@
 require('dotenv').config();
 const { fetchRedditPosts } = require('./fetchReddit.js'); // Your new tool
 const { extractFromTranscript } = require('./textExtract.js');
-const scoreMatch = require('./scoreMatch.js');
 const syncToSheet = require('./syncToSheet.js');
 
 const TARGET_SUBREDDITS = ['deals', 'GameDeals', 'buildapcsales', 'frugal'];
 const CONFIDENCE_THRESHOLD = 0.6; // Only save results with a score of 60% or higher
 
-async function runPipeline() {
+async function runPipeline(subreddits = TARGET_SUBREDDITS, confidenceThreshold = CONFIDENCE_THRESHOLD) {
     console.log('🚀 Starting SmartFetch MVP Pipeline...');
 
     // 1. FETCH data from Reddit
-    const posts = await fetchRedditPosts(TARGET_SUBREDDITS);
+    const posts = await fetchRedditPosts(subreddits);
     console.log(`✅ Fetched ${posts.length} posts from Reddit.`);
 
     const validResults = [];
@@ -29,20 +28,20 @@ for (const post of posts) {
         continue; // Skip posts where no codes were found
     }
 
-    // 2b. SCORE the result
-    const confidence = scoreMatch({
-        ...extractionResult,
-    });
+    // 2b. SCORE the result: extractFromTranscript already scored it against the post text
+    const scoreDetails = extractionResult.scoreDetails || null;
+    const confidence = scoreDetails ? scoreDetails.score : (extractionResult.confidence || 0);
 
     // 3. DECIDE if the result is good enough to save
-    if (confidence >= CONFIDENCE_THRESHOLD) {
+    if (confidence >= confidenceThreshold) {
         const result = {
     videoId: post.id,
     videoTitle: post.title,
     sourceUrl: post.url, // <-- CORRECTED HERE
     timestamp: new Date(post.created_utc * 1000).toISOString(),
     ...extractionResult,
-    confidence
+    confidence,
+    scoreDetails
 };
 validResults.push(result);
     }
@@ -56,6 +55,11 @@ validResults.push(result);
     }
 
     console.log('✅ Pipeline finished. Your Google Sheet and dashboard should be updated.');
+    return validResults;
 }
 
-runPipeline();
\ No newline at end of file
+module.exports = { runPipeline, TARGET_SUBREDDITS, CONFIDENCE_THRESHOLD };
+
+if (require.main === module) {
+    runPipeline();
+}
@@ -1,6 +1,29 @@
 // Enhanced scoreMatch.js - YouTube-optimized confidence scoring
 
-function scoreMatch({ 
+const { escapeRegExp } = require('./sponsorDetector');
+const config = require('./config');
+
+// Maximum contribution of each score component; calibrate.js fits these
+// against a labelled corpus and writes them to smartfetch-config.json (scoring.weights)
+const DEFAULT_WEIGHTS = {
+    code: 0.65,
+    sponsor: 0.2,
+    link: 0.1,
+    coherence: 0.15
+};
+
+const configuredWeights = { ...DEFAULT_WEIGHTS, ...(config.loadConfig().scoring?.weights || {}) };
+
+/**
+ * Scores an extraction result and explains the score.
+ * @returns {{
+ *   score: number,
+ *   breakdown: object,
+ *   reasons: string[],
+ *   penalties: Array<{type: string, amount: number, reason: string}>
+ * }} Final score, per-component scores, human-readable reasons and each applied penalty.
+ */
+function scoreMatchDetailed({ 
     codes = [], 
     links = [], 
     percent_off = [], 
@@ -9,7 +32,10 @@ function scoreMatch({
     // NEW: Additional context for YouTube
     rawText = '', 
     videoMetadata = {},
-    sponsorBrands = []
+    sponsorBrands = [],
+    codeSources = {},
+    // Component caps, defaults from config (see DEFAULT_WEIGHTS)
+    weights = {}
 } = {}) {
     // Input validation with defensive programming
     if (!Array.isArray(codes)) codes = [];
@@ -20,19 +46,22 @@ function scoreMatch({
     if (typeof rawText !== 'string') rawText = '';
     if (typeof videoMetadata !== 'object' || videoMetadata === null) videoMetadata = {};
     if (!Array.isArray(sponsorBrands)) sponsorBrands = [];
+    if (typeof codeSources !== 'object' || codeSources === null) codeSources = {};
+    weights = { ...configuredWeights, ...(typeof weights === 'object' && weights !== null ? weights : {}) };
 
     let score = 0;
     let reasons = [];
     let breakdown = {};
+    const penaltyDetails = [];
 
-    // 1. PRIMARY CODE SCORING (0.65 max) - Enhanced with YouTube patterns
+    // 1. PRIMARY CODE SCORING (weights.code max, 0.65 by default) - Enhanced with YouTube patterns
     if (codes.length > 0) {
         let codeScore = 0;
         
         if (Object.keys(codeConfidence).length > 0) {
             // Enhanced confidence calculation with YouTube context
             const enhancedConfidence = codes.map(code => {
-                const baseConfidence = codeConfidence[code] || 0.3;
+                const baseConfidence = getCodeConfidence(codeConfidence[code]) || 0.3;
                 const contextBoost = calculateYouTubeContextBoost(code, rawText, sponsorBrands);
                 const patternBoost = calculateYouTubePatternBoost(code, videoMetadata);
                 
@@ -43,7 +72,7 @@ function scoreMatch({
             const avgConfidence = enhancedConfidence.reduce((sum, conf) => sum + conf, 0) / enhancedConfidence.length;
             
             const weightedConfidence = (maxConfidence * 0.75) + (avgConfidence * 0.25);
-            codeScore = weightedConfidence * 0.65;
+            codeScore = weightedConfidence * weights.code;
             
             reasons.push(`Enhanced confidence - Max: ${(maxConfidence * 100).toFixed(0)}%, Avg: ${(avgConfidence * 100).toFixed(0)}%`);
             breakdown.enhancedCodeScore = codeScore;
@@ -70,11 +99,11 @@ function scoreMatch({
             }
         }
         
-        score += Math.min(codeScore, 0.65);
-        breakdown.totalCodeScore = Math.min(codeScore, 0.65);
+        score += Math.min(codeScore, weights.code);
+        breakdown.totalCodeScore = Math.min(codeScore, weights.code);
     }
 
-    // 2. SPONSOR CONTEXT SCORING (0.2 max) - YouTube-specific
+    // 2. SPONSOR CONTEXT SCORING (weights.sponsor max, 0.2 by default) - YouTube-specific
     let sponsorScore = 0;
     
     if (sponsorBrands.length > 0) {
@@ -97,10 +126,10 @@ function scoreMatch({
         reasons.push(`Flat discounts: +5%`);
     }
     
-    score += Math.min(sponsorScore, 0.2);
-    breakdown.sponsorScore = Math.min(sponsorScore, 0.2);
+    score += Math.min(sponsorScore, weights.sponsor);
+    breakdown.sponsorScore = Math.min(sponsorScore, weights.sponsor);
 
-    // 3. LINK QUALITY SCORING (0.1 max) - Reduced, less important for YouTube
+    // 3. LINK QUALITY SCORING (weights.link max, 0.1 by default) - Reduced, less important for YouTube
     let linkScore = 0;
     if (links.length > 0) {
         const sponsorLinks = links.filter(link => 
@@ -109,7 +138,7 @@ function scoreMatch({
         );
         
         if (sponsorLinks.length > 0) {
-            linkScore += 0.1;
+            linkScore += weights.link;
             reasons.push(`Sponsor/promotional links: ${sponsorLinks.length}`);
         } else if (links.length > 0) {
             linkScore += 0.03;
@@ -117,10 +146,10 @@ function scoreMatch({
         }
     }
     
-    score += Math.min(linkScore, 0.1);
-    breakdown.linkScore = Math.min(linkScore, 0.1);
+    score += Math.min(linkScore, weights.link);
+    breakdown.linkScore = Math.min(linkScore, weights.link);
 
-    // 4. YOUTUBE COHERENCE BONUS (0.15 max) - Enhanced
+    // 4. YOUTUBE COHERENCE BONUS (weights.coherence max, 0.15 by default) - Enhanced
     let coherenceBonus = 0;
     
     // Strong coherence: codes + discounts + sponsor mention
@@ -135,9 +164,17 @@ function scoreMatch({
     // YouTube-specific coherence patterns
     const youtubeCoherence = calculateYouTubeCoherence(codes, rawText, videoMetadata);
     coherenceBonus += youtubeCoherence;
+
+    // Codes both spoken in the captions and written in the description/comment
+    const corroboratedCodes = findCorroboratedCodes(codes, codeSources);
+    if (corroboratedCodes.length > 0) {
+        const corroborationBonus = Math.min(0.1, corroboratedCodes.length * 0.05);
+        coherenceBonus += corroborationBonus;
+        reasons.push(`Codes in captions and description/comment (${corroboratedCodes.join(', ')}): +${(corroborationBonus * 100).toFixed(1)}%`);
+    }
     
-    score += Math.min(coherenceBonus, 0.15);
-    breakdown.coherenceBonus = Math.min(coherenceBonus, 0.15);
+    score += Math.min(coherenceBonus, weights.coherence);
+    breakdown.coherenceBonus = Math.min(coherenceBonus, weights.coherence);
 
     // 5. ENHANCED QUALITY PENALTIES (-0.2 max)
     let penalties = 0;
@@ -149,6 +186,11 @@ function scoreMatch({
             const penalty = Math.min(0.15, suspiciousPatterns.length * 0.05);
             penalties += penalty;
             reasons.push(`YouTube suspicious patterns: -${(penalty * 100).toFixed(1)}% (${suspiciousPatterns.join(', ')})`);
+            penaltyDetails.push({
+                type: 'suspicious_patterns',
+                amount: penalty,
+                reason: `Suspicious patterns: ${suspiciousPatterns.join(', ')}`
+            });
         }
         
         // Generic suspicious codes
@@ -163,6 +205,11 @@ function scoreMatch({
             const penalty = Math.min(0.1, suspiciousCodes.length * 0.03);
             penalties += penalty;
             reasons.push(`Generic suspicious codes: -${(penalty * 100).toFixed(1)}%`);
+            penaltyDetails.push({
+                type: 'suspicious_codes',
+                amount: penalty,
+                reason: `Generic-looking codes: ${suspiciousCodes.join(', ')}`
+            });
         }
     }
     
@@ -190,7 +237,25 @@ function scoreMatch({
         }
     }
     
-    return score;
+    return {
+        score,
+        breakdown,
+        reasons,
+        penalties: penaltyDetails
+    };
+}
+
+// Score only; use scoreMatchDetailed when the reasons are needed
+function scoreMatch(input) {
+    return scoreMatchDetailed(input).score;
+}
+
+// codeConfidence entries are { confidence, rule, tier, source } records from
+// textExtract.js; plain numbers are still accepted for older stored results
+function getCodeConfidence(entry) {
+    if (typeof entry === 'number') return entry;
+    if (entry && typeof entry.confidence === 'number') return entry.confidence;
+    return 0;
 }
 
 // YouTube-specific helper functions
@@ -201,7 +266,8 @@ function calculateYouTubeContextBoost(code, rawText, sponsorBrands) {
     
     // Check if code appears near sponsor mentions
     sponsorBrands.forEach(brand => {
-        const brandRegex = new RegExp(`\\b${brand.toLowerCase()}\\b.{0,50}\\b${lowerCode}\\b|\\b${lowerCode}\\b.{0,50}\\b${brand.toLowerCase()}\\b`, 'i');
+        const lowerBrand = escapeRegExp(brand.toLowerCase());
+        const brandRegex = new RegExp(`(?:^|\\W)${lowerBrand}(?!\\w).{0,50}\\b${lowerCode}\\b|\\b${lowerCode}\\b.{0,50}(?:^|\\W)${lowerBrand}(?!\\w)`, 'i');
         if (brandRegex.test(lowerText)) {
             boost += 0.15;
         }
@@ -286,6 +352,14 @@ function calculateYouTubeCoherence(codes, rawText, videoMetadata) {
     return Math.min(coherence, 0.07);
 }
 
+function findCorroboratedCodes(codes, codeSources) {
+    return codes.filter(code => {
+        const sources = Array.isArray(codeSources[code]) ? codeSources[code] : [];
+        return sources.includes('captions') &&
+            (sources.includes('description') || sources.includes('comment'));
+    });
+}
+
 function detectYouTubeSuspiciousPatterns(codes, rawText) {
     const suspicious = [];
     
@@ -366,4 +440,7 @@ function assessYouTubeCodeQuality(code, rawText = '', videoMetadata = {}) {
 }
 
 module.exports = scoreMatch;
-module.exports.assessYouTubeCodeQuality = assessYouTubeCodeQuality;
\ No newline at end of file
+module.exports.scoreMatchDetailed = scoreMatchDetailed;
+module.exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+module.exports.assessYouTubeCodeQuality = assessYouTubeCodeQuality;
+module.exports.getCodeConfidence = getCodeConfidence;
\ No newline at end of file
@@ -1,11 +1,13 @@
 'use client';
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { Search, Copy, ExternalLink, Filter, Calendar, TrendingUp, CheckCircle, AlertCircle, XCircle } from 'lucide-react';
+import { Search, Copy, ExternalLink, Filter, Calendar, TrendingUp, CheckCircle, AlertCircle, XCircle, PlayCircle, ChevronDown, ChevronUp } from 'lucide-react';
 
 // Types
 interface PromoData {
-  videoId: string;
+  // YouTube video ID (or Reddit post ID), as syncToSheet writes it
+  sourceId: string;
+  sourceUrl?: string;
   videoTitle: string;
   timestamp: string;
   links: string;
@@ -13,6 +15,29 @@ interface PromoData {
   percent_off: string;
   flat_discount: string;
   confidence: string;
+  code_timestamps?: string;
+  // One sheet row per code offer; older rows have neither
+  offerId?: string;
+  merchant?: string;
+  // JSON from scoreMatchDetailed, written by syncToSheet
+  score_details?: string;
+}
+
+interface ScoreDetails {
+  score: number;
+  breakdown: Record<string, number>;
+  reasons: string[];
+  penalties: { type: string; amount: number; reason: string }[];
+  // Where the regex saw each code: 'captions', 'description', 'comment'
+  codeSources?: Record<string, string[]>;
+  // Which extractor found each code: 'regex', 'ai' or both
+  codeExtractors?: Record<string, string[]>;
+  statusReason?: string;
+}
+
+interface CodeMention {
+  code: string;
+  seconds: number;
 }
 
 interface FilterOptions {
@@ -56,6 +81,49 @@ const extractDomain = (url: string) => {
   }
 };
 
+// Parses "CODE@seconds | CODE@seconds" as written by syncToSheet
+const parseCodeTimestamps = (value?: string): CodeMention[] => {
+  if (!value) return [];
+  return value
+    .split('|')
+    .map(entry => entry.trim())
+    .map(entry => {
+      const [code, seconds] = entry.split('@');
+      return { code, seconds: parseInt(seconds, 10) };
+    })
+    .filter(mention => mention.code && !isNaN(mention.seconds));
+};
+
+const parseScoreDetails = (value?: string): ScoreDetails | null => {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return {
+      score: Number(parsed.score) || 0,
+      breakdown: parsed.breakdown || {},
+      reasons: Array.isArray(parsed.reasons) ? parsed.reasons : [],
+      penalties: Array.isArray(parsed.penalties) ? parsed.penalties : [],
+      codeSources: parsed.codeSources,
+      codeExtractors: parsed.codeExtractors,
+      statusReason: parsed.statusReason
+    };
+  } catch {
+    return null;
+  }
+};
+
+// "enhancedCodeScore" -> "Enhanced code score"
+const formatBreakdownLabel = (key: string) => {
+  const words = key.replace(/([A-Z])/g, ' $1').toLowerCase().trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatVideoTime = (seconds: number) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  return `${minutes}:${rest.toString().padStart(2, '0')}`;
+};
+
 // Filter Chip Component
 const FilterChip = ({ active, onClick, children, count }: { 
   active: boolean; 
@@ -88,6 +156,9 @@ const PromoCard = ({ data }: { data: PromoData }) => {
   const isLowConfidence = confidence < 0.2;
   const hasCode = data.codes && data.codes.trim() !== '';
   const links = data.links ? data.links.split('|').map(link => link.trim()).filter(Boolean) : [];
+  const mentions = parseCodeTimestamps(data.code_timestamps);
+  const scoreDetails = parseScoreDetails(data.score_details);
+  const [showScoreDetails, setShowScoreDetails] = useState(false);
   
   const copyToClipboard = (text: string) => {
     navigator.clipboard.writeText(text);
@@ -125,14 +196,68 @@ const PromoCard = ({ data }: { data: PromoData }) => {
         <span className={`px-3 py-1 rounded-full text-sm font-medium ${getConfidenceColor(confidence)}`}>
           {Math.round(confidence * 100)}% confidence
         </span>
+        {scoreDetails && (
+          <button
+            onClick={() => setShowScoreDetails(prev => !prev)}
+            className="ml-auto inline-flex items-center gap-1 text-sm text-gray-500 hover:text-blue-600 transition-colors"
+          >
+            Why this score?
+            {showScoreDetails ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          </button>
+        )}
       </div>
 
+      {/* Score explanation */}
+      {scoreDetails && showScoreDetails && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4 text-sm">
+          {scoreDetails.statusReason && (
+            <p className="font-medium text-gray-700 mb-2">{scoreDetails.statusReason}</p>
+          )}
+          {hasCode && scoreDetails.codeExtractors?.[data.codes] && (
+            <p className="text-gray-500 mb-2">
+              Found by: {scoreDetails.codeExtractors[data.codes].map(extractor => (extractor === 'ai' ? 'AI' : extractor)).join(' + ')}
+            </p>
+          )}
+          {hasCode && scoreDetails.codeSources?.[data.codes]?.length ? (
+            <p className="text-gray-500 mb-2">
+              Seen in: {scoreDetails.codeSources[data.codes].join(', ')}
+            </p>
+          ) : null}
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1 mb-3">
+            {Object.entries(scoreDetails.breakdown).map(([key, value]) => (
+              <React.Fragment key={key}>
+                <dt className="text-gray-500">{formatBreakdownLabel(key)}</dt>
+                <dd className="text-right font-mono text-gray-700">{Number(value).toFixed(3)}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+          {scoreDetails.reasons.length > 0 && (
+            <ul className="list-disc list-inside space-y-1 text-gray-600">
+              {scoreDetails.reasons.map((reason, index) => (
+                <li key={index}>{reason}</li>
+              ))}
+            </ul>
+          )}
+          {scoreDetails.penalties.length > 0 && (
+            <ul className="mt-2 space-y-1 text-red-600">
+              {scoreDetails.penalties.map((penalty, index) => (
+                <li key={index}>
+                  -{(penalty.amount * 100).toFixed(1)}% {penalty.reason}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Promo Code Section */}
       {hasCode ? (
         <div className="bg-gradient-to-r from-blue-50 to-purple-50 border border-blue-200 rounded-lg p-4 mb-4">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm font-medium text-gray-600 mb-1">Promo Code</p>
+              <p className="text-sm font-medium text-gray-600 mb-1">
+                {data.merchant ? `${data.merchant} Promo Code` : 'Promo Code'}
+              </p>
               <p className="text-xl font-bold text-blue-600">{data.codes}</p>
             </div>
             <button
@@ -159,6 +284,24 @@ const PromoCard = ({ data }: { data: PromoData }) => {
               )}
             </div>
           )}
+
+          {/* Jump to the sponsor read */}
+          {mentions.length > 0 && (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {mentions.map((mention) => (
+                <a
+                  key={`${mention.code}-${mention.seconds}`}
+                  href={`https://www.youtube.com/watch?v=${encodeURIComponent(data.sourceId)}&t=${mention.seconds}s`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 px-3 py-1 bg-white hover:bg-blue-100 text-blue-700 border border-blue-200 rounded-full text-sm transition-colors"
+                >
+                  <PlayCircle className="w-3 h-3" />
+                  {mention.code} at {formatVideoTime(mention.seconds)}
+                </a>
+              ))}
+            </div>
+          )}
         </div>
       ) : (
         <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
@@ -255,7 +398,8 @@ const SmartFetchDashboard = () => {
   if (filters.search) {
     filtered = filtered.filter(item => 
       item.videoTitle.toLowerCase().includes(filters.search.toLowerCase()) ||
-      item.codes.toLowerCase().includes(filters.search.toLowerCase())
+      item.codes.toLowerCase().includes(filters.search.toLowerCase()) ||
+      (item.merchant || '').toLowerCase().includes(filters.search.toLowerCase())
     );
   }
 
@@ -320,7 +464,7 @@ const SmartFetchDashboard = () => {
             <div>
               <h1 className="text-3xl font-bold text-gray-900">SmartFetch Dashboard</h1>
               <p className="text-gray-600 mt-1">
-                {data.length} videos analyzed • {filteredData.length} results shown
+                {data.length} offers found • {filteredData.length} results shown
               </p>
             </div>
             
@@ -329,7 +473,7 @@ const SmartFetchDashboard = () => {
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
               <input
                 type="text"
-                placeholder="Search videos or codes..."
+                placeholder="Search videos, codes or merchants..."
                 value={filters.search}
                 onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
                 className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent w-full sm:w-80"
@@ -398,7 +542,7 @@ const SmartFetchDashboard = () => {
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {filteredData.map((item) => (
-              <PromoCard key={`${item.videoId}-${item.timestamp}`} data={item} />
+              <PromoCard key={item.offerId || `${item.sourceId}-${item.timestamp}`} data={item} />
             ))}
           </div>
         )}
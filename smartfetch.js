@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+// smartfetch.js - One command line for scanning videos, channels, playlists and subreddits
+
+require('dotenv').config();
+const fs = require('fs');
+
+// Flags followed by a value (--flag VALUE or --flag=VALUE)
+const VALUE_FLAGS = [
+    '--file', '--max-results', '--output', '--interval', '--since', '--until',
+    '--accept', '--review', '--ai-threshold', '--threshold',
+    '--ai-mode', '--ai-provider', '--ai-model', '--ai-base-url', '--prompt-ab',
+    '--max-cost', '--max-cost-total', '--requests-per-minute', '--tokens-per-minute'
+];
+
+// Flags without a value; anything not in either list is rejected
+const SWITCH_FLAGS = ['--no-ai', '--no-cache', '--batch', '--once'];
+
+// Video sources `scan` understands, as in index.js (SOURCE_TYPES there)
+const SOURCE_TYPES = ['video', 'channel', 'playlist', 'search', 'shorts'];
+
+// retryFailed.js commands `smartfetch retry` passes through, and their options
+const RETRY_COMMANDS = ['retry', 'stats', 'show', 'clean', 'migrate', 'compact'];
+const RETRY_VALUE_FLAGS = ['--max-age', '--error-type', '--video'];
+const RETRY_SWITCH_FLAGS = ['--dry-run'];
+
+function parseArgs(argv, valueFlags = VALUE_FLAGS, switchFlags = SWITCH_FLAGS) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-' || !arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const separator = arg.indexOf('=');
+        const flag = separator === -1 ? arg : arg.slice(0, separator);
+        if (valueFlags.includes(flag)) {
+            if (separator !== -1) {
+                flags[flag.slice(2)] = arg.slice(separator + 1);
+            } else {
+                if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+                flags[flag.slice(2)] = argv[++i];
+            }
+        } else if (switchFlags.includes(flag)) {
+            if (separator !== -1) throw new Error(`${flag} takes no value`);
+            flags[flag.slice(2)] = true;
+        } else {
+            throw new Error(`Unknown option ${flag} (see smartfetch --help)`);
+        }
+    }
+
+    return { positional, flags };
+}
+
+function numberFlag(flags, name) {
+    if (flags[name] === undefined) return undefined;
+    const value = Number(flags[name]);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`--${name} must be a non-negative number, got "${flags[name]}"`);
+    }
+    return value;
+}
+
+// ISO date for --since/--until; anything Date.parse understands (2025-01-31, 2025-01-31T12:00Z)
+function dateFlag(flags, name) {
+    if (flags[name] === undefined) return undefined;
+    const time = Date.parse(flags[name]);
+    if (Number.isNaN(time)) throw new Error(`--${name} must be a date, got "${flags[name]}"`);
+    return new Date(time).toISOString();
+}
+
+// Checked arguments for retryFailed.main: [command, ...inputs, ...options] with every
+// option as --flag VALUE, since retryFailed.js only reads that form
+function retryArgs(argv) {
+    const { positional, flags } = parseArgs(argv, RETRY_VALUE_FLAGS, RETRY_SWITCH_FLAGS);
+    const [command = 'retry', ...inputs] = positional;
+
+    if (!RETRY_COMMANDS.includes(command)) {
+        throw new Error(`Unknown retry command "${command}" (expected ${RETRY_COMMANDS.join(', ')})`);
+    }
+    if (command === 'show' ? inputs.length !== 1 : inputs.length > 0) {
+        throw new Error(command === 'show' ? 'retry show needs one VIDEO_ID' : `retry ${command} takes no arguments`);
+    }
+    numberFlag(flags, 'max-age');
+
+    const args = [command, ...inputs];
+    for (const [name, value] of Object.entries(flags)) {
+        args.push(`--${name}`);
+        if (value !== true) args.push(value);
+    }
+    return args;
+}
+
+// One input per whitespace-separated token, or per line for inputs with spaces
+// (search queries); # starts a comment
+function splitInputs(text, byLine = false) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/#.*/, ''))
+        .flatMap(line => (byLine ? [line.trim()] : line.split(/\s+/)))
+        .filter(Boolean);
+}
+
+/**
+ * Inputs from the command line, `--file FILE` and stdin. `-` (as an argument or
+ * as the --file name) reads stdin, so IDs can be piped in.
+ * @returns {string[]} Deduplicated inputs in the order given.
+ */
+function readInputs(positional, flags, byLine = false) {
+    const inputs = [];
+    let readStdin = false;
+
+    for (const arg of positional) {
+        if (arg === '-') readStdin = true;
+        else inputs.push(arg);
+    }
+
+    if (flags.file === '-') {
+        readStdin = true;
+    } else if (flags.file) {
+        inputs.push(...splitInputs(fs.readFileSync(flags.file, 'utf8'), byLine));
+    }
+
+    if (readStdin) {
+        inputs.push(...splitInputs(fs.readFileSync(0, 'utf8'), byLine));
+    }
+
+    return [...new Set(inputs)];
+}
+
+// SmartFetch options set on the command line; unset flags keep the environment defaults
+function smartFetchOptions(flags) {
+    const options = {
+        acceptThreshold: numberFlag(flags, 'accept'),
+        reviewThreshold: numberFlag(flags, 'review'),
+        aiThreshold: numberFlag(flags, 'ai-threshold'),
+        aiMode: flags['ai-mode'],
+        aiProvider: flags['ai-provider'],
+        aiModel: flags['ai-model'],
+        aiBaseUrl: flags['ai-base-url'],
+        aiPromptAB: flags['prompt-ab'],
+        maxCostPerRun: numberFlag(flags, 'max-cost'),
+        maxCostTotal: numberFlag(flags, 'max-cost-total'),
+        requestsPerMinute: numberFlag(flags, 'requests-per-minute'),
+        tokensPerMinute: numberFlag(flags, 'tokens-per-minute')
+    };
+    if (flags['no-ai']) options.aiEnabled = false;
+    if (flags['no-cache']) options.aiCache = false;
+    if (flags.batch) options.batchProcessing = true;
+
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+// `scan sources` inputs are TYPE:VALUE, e.g. playlist:PL…, "search:promo code", shorts:UC…
+function parseSource(input) {
+    const separator = input.indexOf(':');
+    const type = separator > 0 ? input.slice(0, separator) : '';
+    if (!SOURCE_TYPES.includes(type)) {
+        throw new Error(`Bad source "${input}" (expected TYPE:VALUE with TYPE one of ${SOURCE_TYPES.join('/')})`);
+    }
+    return { type, value: input.slice(separator + 1).trim() };
+}
+
+async function scan(target, positional, flags) {
+    // Queries contain spaces, so files and stdin give one per line for these
+    const inputs = readInputs(positional, flags, ['search', 'sources'].includes(target));
+    if (inputs.length === 0) {
+        throw new Error(`scan ${target} needs at least one input (arguments, --file FILE or - for stdin)`);
+    }
+
+    if (target === 'reddit') {
+        const { runPipeline, CONFIDENCE_THRESHOLD } = require('./runMvp');
+        const threshold = numberFlag(flags, 'threshold') ?? numberFlag(flags, 'accept') ?? CONFIDENCE_THRESHOLD;
+        return runPipeline(inputs.map(sub => sub.replace(/^\/?r\//, '')), threshold);
+    }
+
+    let sources;
+    if (target === 'sources') {
+        sources = inputs.map(parseSource);
+    } else if (SOURCE_TYPES.includes(target)) {
+        sources = inputs.map(value => ({ type: target, value }));
+    } else {
+        throw new Error(`Unknown scan target "${target}" (expected ${[...SOURCE_TYPES, 'sources', 'reddit'].join('/')})`);
+    }
+
+    const options = smartFetchOptions(flags);
+    const maxResults = numberFlag(flags, 'max-results');
+    const publishedAfter = dateFlag(flags, 'since');
+    const publishedBefore = dateFlag(flags, 'until');
+
+    // With --since and no --max-results, listings give everything in the range;
+    // searches keep their default, as each page costs 100 quota units
+    if (publishedAfter && maxResults === undefined) {
+        sources.filter(source => source.type !== 'search').forEach(source => { source.maxResults = Infinity; });
+    }
+
+    // index.js validates YOUTUBE_API_KEY on load, so only YouTube scans pull it in
+    const { configureSmartFetch, runAll } = require('./index');
+    configureSmartFetch(options);
+
+    return runAll({ videoLinks: [], channelIds: [], sources, maxResults, publishedAfter, publishedBefore });
+}
+
+// Channels as ID or ID:MINUTES (own check interval); none given = smartfetch-config.json watch.channels
+async function watch(positional, flags) {
+    const channels = readInputs(positional, flags).map(input => {
+        const [id, minutes] = input.split(':');
+        if (minutes === undefined) return id;
+        const intervalMinutes = Number(minutes);
+        if (!Number.isFinite(intervalMinutes) || intervalMinutes <= 0) {
+            throw new Error(`Bad interval in "${input}" (expected CHANNEL_ID:MINUTES)`);
+        }
+        return { id, intervalMinutes };
+    });
+    const options = smartFetchOptions(flags);
+    const watcherOptions = {
+        intervalMinutes: numberFlag(flags, 'interval'),
+        maxResults: numberFlag(flags, 'max-results')
+    };
+
+    if (channels.length === 0) {
+        channels.push(...(require('./config').loadConfig().watch?.channels || []));
+    }
+    if (channels.length === 0) {
+        throw new Error('watch needs channel IDs (arguments, --file FILE, - for stdin or watch.channels in smartfetch-config.json)');
+    }
+
+    const { configureSmartFetch, printQuotaStats } = require('./index');
+    const { ChannelWatcher } = require('./channelWatcher');
+    const smartFetch = configureSmartFetch(options);
+    const watcher = new ChannelWatcher(watcherOptions);
+
+    if (flags.once) {
+        await watcher.checkAll(channels);
+    } else {
+        // Ctrl+C finishes the current video, saves state and prints stats
+        process.once('SIGINT', () => {
+            console.log('\n🛑 Stopping after the current check...');
+            watcher.stop();
+        });
+        await watcher.watch(channels);
+    }
+
+    console.log(`\n👀 Watch: ${watcher.stats.checks} check(s), ${watcher.stats.newVideos} new video(s), ${watcher.stats.errors} error(s)`);
+    await smartFetch.printStats();
+    await printQuotaStats();
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const command = argv[0];
+
+    switch (command) {
+        case 'scan': {
+            const { positional, flags } = parseArgs(argv.slice(2));
+            await scan(argv[1], positional, flags);
+            break;
+        }
+
+        case 'watch': {
+            const { positional, flags } = parseArgs(argv.slice(1));
+            await watch(positional, flags);
+            break;
+        }
+
+        case 'download-transcripts': {
+            const { positional, flags } = parseArgs(argv.slice(1));
+            const inputs = readInputs(positional, flags);
+            const { downloadAllTranscripts } = require('./download_transcripts');
+            // No inputs: the VIDEO_URLS list in download_transcripts.js
+            await downloadAllTranscripts(inputs.length > 0 ? inputs : undefined, flags.output);
+            break;
+        }
+
+        case 'retry': {
+            await require('./retryFailed').main(retryArgs(argv.slice(1)));
+            break;
+        }
+
+        default:
+            if (command !== undefined && !['help', '--help', '-h'].includes(command)) {
+                console.error(`❌ Unknown command "${command}"`);
+                process.exitCode = 1;
+            }
+            console.log(`
+Usage: smartfetch <command> [inputs...] [options]
+
+Commands:
+  scan video <url|id...>          Scan videos
+  scan channel <id...>            Scan each channel's latest videos
+  scan playlist <id...>           Scan the videos in playlists
+  scan search <query...>          Scan the newest videos matching each query (quote queries)
+  scan shorts <channel id...>     Scan each channel's latest Shorts
+  scan sources <type:value...>    Mix sources, e.g. playlist:PL… "search:promo code" shorts:UC…;
+                                  videos found by several sources are scanned once
+  scan reddit <subreddit...>      Scan subreddit posts
+  watch [channel[:minutes]...]    Process new uploads as they appear (--interval MIN, --once);
+                                  default channels: watch.channels in smartfetch-config.json
+  download-transcripts [url...]   Save transcripts to transcripts/ (--output DIR)
+  retry [--dry-run]               Retry failed AI requests (--max-age HOURS, --error-type TYPE,
+                                  --video ID); also retry stats|show VIDEO_ID|clean|migrate|compact
+
+Inputs:
+  Arguments, --file FILE (one or more per line, # comments) or - to read stdin
+  Options take their value as --option VALUE or --option=VALUE
+
+Scan and watch options:
+  --max-results N                 Videos per source: channel 5, playlist 50, search 25, Shorts 10
+                                  (with --since: all in range, except searches);
+                                  watch: uploads taken from a new channel (default 10)
+  --since DATE / --until DATE     Only videos published in this range (e.g. 2025-01-01)
+  --accept N / --review N         Score thresholds (default: smartfetch-config.json)
+  --ai-threshold N                Rescore results below this score with AI
+  --threshold N                   Reddit: minimum score to save (default 0.6)
+  --no-ai                         Regex only
+  --ai-mode MODE                  rescore, extract or both
+  --ai-provider NAME              openai, anthropic, azure or openai-compatible
+  --ai-model NAME / --ai-base-url URL
+  --prompt-ab VERSION             Also run this rescore prompt version and compare
+  --max-cost USD                  Stop AI calls once this run has spent USD
+  --max-cost-total USD            Stop AI calls once all runs together have spent USD
+  --requests-per-minute N / --tokens-per-minute N
+  --no-cache                      Ignore cached AI answers
+  --batch                         Batch transcript processing
+
+Examples:
+  smartfetch scan video https://youtu.be/dQw4w9WgXcQ --ai-mode both
+  smartfetch scan channel UCIPPMRA040LQr5QPyJEbmXA --max-results 10 --no-ai
+  smartfetch scan channel UCIPPMRA040LQr5QPyJEbmXA --since 2025-01-01 --until 2025-02-01
+  cat playlists.txt | smartfetch scan playlist -
+  smartfetch scan search "promo code 2025" --since 2025-01-01 --max-results 50
+  smartfetch scan sources shorts:UCIPPMRA040LQr5QPyJEbmXA "search:nordvpn code" --no-ai
+  smartfetch watch UCIPPMRA040LQr5QPyJEbmXA:30 UCX6OQ3DkcsbYNE6H8uQQuVA --interval 120
+  smartfetch scan reddit deals GameDeals --threshold 0.7
+  smartfetch download-transcripts --file videos.txt
+  smartfetch retry --error-type rate_limit
+            `);
+    }
+}
+
+module.exports = { main, parseArgs, retryArgs, readInputs, smartFetchOptions };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,143 @@
+// spokenCodeNormalizer.js - Reassemble codes the way auto-captions spell them
+
+const { wordsToNumber } = require('./discountParser');
+
+const NUMBER_WORD_LIST = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+    'seventeen', 'eighteen', 'nineteen',
+    'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety', 'hundred'
+];
+const NUMBER_WORD = `(?:${NUMBER_WORD_LIST.join('|')})`;
+const SPOKEN_NUMBER = `${NUMBER_WORD}(?:[\\s-]+${NUMBER_WORD})*`;
+
+// "M K B H D", "S-A-V-E", "m.k.b.h.d"
+const SPELLED = '\\b[a-z0-9](?:[\\s.-]{1,2}[a-z0-9]\\b)+';
+// "SAVE-20", "get-50-off"
+const HYPHENATED = '[a-z0-9]+(?:-[a-z0-9]+)+';
+const WORD = '[a-z]{2,12}';
+
+// A number followed by one of these belongs to the discount, not the code
+const NOT_CODE_NUMBER = '(?![\\s-]*(?:%|percent|per\\s+cent|off\\b|dollars?|bucks|euros?|pounds?|rupees?))';
+
+// Trigger ("code", "the code is", "promo code:"), the code, then an optional
+// spoken ("fifty") or digit ("15") suffix
+const SPOKEN_CODE_PATTERN = new RegExp(
+    `(\\b(?:(?:promo|coupon|discount)\\s+)?(?:code|promo|coupon)\\b(?:\\s+is\\b)?[\\s:,"'-]*)` +
+    `(${SPELLED}|${HYPHENATED}|${WORD})` +
+    `(?:[\\s-]+(?:(${SPOKEN_NUMBER})|(\\d{1,4}))\\b${NOT_CODE_NUMBER})?`,
+    'gi'
+);
+
+// Words that follow "code" in ordinary speech and are never the code itself
+const STOP_WORDS = new Set([
+    'for', 'at', 'and', 'is', 'in', 'to', 'the', 'on', 'or', 'below', 'above', 'here',
+    'link', 'gets', 'gives', 'will', 'with', 'that', 'this', 'you', 'your', 'my', 'it',
+    'code', 'codes', 'promo', 'coupon'
+]);
+
+const URL_PATTERN = /https?:\/\/[^\s)]+/g;
+
+/**
+ * Rewrites spoken code spellings after "code"/"promo"/"coupon":
+ * "use code M K B H D" -> "use code MKBHD", "code donut fifty" -> "code DONUT50",
+ * "the code is S-A-V-E twenty" -> "the code is SAVE20", "code G A M E R Z 15" -> "code GAMERZ15".
+ *
+ * @param {string} text Original text.
+ * @returns {{
+ *   text: string,
+ *   replacements: Array<{spoken: string, normalized: string, start: number, end: number}>,
+ *   toOriginal: function(number, boolean=): number,
+ *   describe: function(number, number): object
+ * }} Normalized text, replacements in original offsets, and offset mapping helpers.
+ */
+function normalizeSpokenCodes(text) {
+    const identity = {
+        text: text || '',
+        replacements: [],
+        toOriginal: (position) => position,
+        describe: () => ({})
+    };
+    if (!text || typeof text !== 'string') return identity;
+
+    const urlSpans = Array.from(text.matchAll(URL_PATTERN), match => ({
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+    const insideUrl = (position) => urlSpans.some(span => position >= span.start && position < span.end);
+
+    // Pieces of the normalized text, each pointing back at its original span
+    const pieces = [];
+    const replacements = [];
+    let cursor = 0;
+    let normalizedText = '';
+
+    const pushPiece = (originalStart, originalEnd, value, replaced) => {
+        pieces.push({
+            originalStart,
+            originalEnd,
+            start: normalizedText.length,
+            end: normalizedText.length + value.length,
+            replaced
+        });
+        normalizedText += value;
+    };
+
+    for (const match of text.matchAll(SPOKEN_CODE_PATTERN)) {
+        const [, trigger, body, spokenNumber, digits] = match;
+        const start = match.index + trigger.length;
+        const end = match.index + match[0].length;
+        if (insideUrl(match.index)) continue;
+
+        const isSpelled = new RegExp(`^${SPELLED}$`, 'i').test(body);
+        const isHyphenated = !isSpelled && body.includes('-');
+        if (!isSpelled && !isHyphenated && !spokenNumber && !digits) continue;
+        if (!isSpelled && !isHyphenated && (STOP_WORDS.has(body.toLowerCase()) || NUMBER_WORD_LIST.includes(body.toLowerCase()))) continue;
+
+        let normalized = body.replace(/[\s.-]/g, '').toUpperCase();
+        if (spokenNumber) {
+            const value = wordsToNumber(spokenNumber);
+            if (isNaN(value)) continue;
+            normalized += String(value);
+        } else if (digits) {
+            normalized += digits;
+        }
+
+        pushPiece(cursor, start, text.slice(cursor, start), false);
+        pushPiece(start, end, normalized, true);
+        replacements.push({ spoken: text.slice(start, end), normalized, start, end });
+        cursor = end;
+    }
+
+    if (replacements.length === 0) return identity;
+    pushPiece(cursor, text.length, text.slice(cursor), false);
+
+    const findPiece = (position, isEnd) => pieces.find(piece =>
+        isEnd ? position > piece.start && position <= piece.end : position >= piece.start && position < piece.end
+    ) || pieces[pieces.length - 1];
+
+    // Normalized offset -> original offset; positions inside a replacement snap to its edges
+    const toOriginal = (position, isEnd = false) => {
+        if (position <= 0) return 0;
+        const piece = findPiece(position, isEnd);
+        if (piece.replaced) return isEnd ? piece.originalEnd : piece.originalStart;
+        return piece.originalStart + (position - piece.start);
+    };
+
+    // Spoken form behind a normalized range, if it touches a replacement
+    const describe = (start, end) => {
+        const touched = pieces.filter(piece => piece.replaced && start < piece.end && end > piece.start);
+        if (touched.length === 0) return {};
+        return {
+            spoken: touched.map(piece => text.slice(piece.originalStart, piece.originalEnd)).join(' '),
+            normalized: normalizedText.slice(start, end)
+        };
+    };
+
+    return { text: normalizedText, replacements, toOriginal, describe };
+}
+
+module.exports = {
+    normalizeSpokenCodes,
+    SPOKEN_CODE_PATTERN
+};
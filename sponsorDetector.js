@@ -0,0 +1,214 @@
+// sponsorDetector.js - Detect sponsor brands for scoreMatch's sponsorBrands
+
+const config = require('./config');
+
+// Known YouTube sponsors: canonical name -> spoken/written aliases and link domains.
+// `ambiguous` brands are ordinary words, so only their aliases count as mentions.
+// Extend at runtime from smartfetch-config.json (extraction.sponsors.brands).
+const KNOWN_SPONSORS = {
+    'AG1': { aliases: ['ag1', 'athletic greens'], domains: ['drinkag1.com', 'athleticgreens.com'] },
+    'Audible': { aliases: ['audible'], domains: ['audible.com'], ambiguous: true },
+    'BetterHelp': { aliases: ['betterhelp', 'better help'], domains: ['betterhelp.com'] },
+    'Brilliant': { aliases: ['brilliant.org'], domains: ['brilliant.org'], ambiguous: true },
+    'CSGO.NET': { aliases: ['csgo.net', 'csgonet'], domains: ['csgo.net'] },
+    'CSGO-Skins': { aliases: ['csgo-skins', 'csgoskins'], domains: ['csgo-skins.com'] },
+    'dbrand': { aliases: ['dbrand'], domains: ['dbrand.com'] },
+    'ExpressVPN': { aliases: ['expressvpn', 'express vpn'], domains: ['expressvpn.com'] },
+    'Factor': { aliases: ['factor meals', 'factor box', 'factor_'], domains: ['factor75.com', 'factormeals.com'], ambiguous: true },
+    'Ground News': { aliases: ['ground news'], domains: ['ground.news'] },
+    'Hellcase': { aliases: ['hellcase'], domains: ['hellcase.com', 'hellca.se'] },
+    'HelloFresh': { aliases: ['hellofresh', 'hello fresh'], domains: ['hellofresh.com'] },
+    'Honey': { aliases: ['joinhoney'], domains: ['joinhoney.com'], ambiguous: true },
+    'Incogni': { aliases: ['incogni'], domains: ['incogni.com'] },
+    'Keeps': { aliases: ['keeps.com'], domains: ['keeps.com'], ambiguous: true },
+    'Manscaped': { aliases: ['manscaped'], domains: ['manscaped.com'] },
+    'NordVPN': { aliases: ['nordvpn', 'nord vpn'], domains: ['nordvpn.com'] },
+    'Opera GX': { aliases: ['opera gx'], domains: ['opera.com'] },
+    'RAID: Shadow Legends': { aliases: ['raid shadow legends', 'raid: shadow legends'], domains: ['raidshadowlegends.com'] },
+    'Raycon': { aliases: ['raycon'], domains: ['rayconglobal.com', 'buyraycon.com'] },
+    'Ridge': { aliases: ['ridge wallet'], domains: ['ridge.com'], ambiguous: true },
+    'Rocket Money': { aliases: ['rocket money'], domains: ['rocketmoney.com'] },
+    'Shopify': { aliases: ['shopify'], domains: ['shopify.com'] },
+    'Skillshare': { aliases: ['skillshare', 'skill share'], domains: ['skillshare.com'] },
+    'Squarespace': { aliases: ['squarespace', 'square space'], domains: ['squarespace.com'] },
+    'Surfshark': { aliases: ['surfshark', 'surf shark'], domains: ['surfshark.deals', 'surfshark.com'] },
+    'Temu': { aliases: ['temu'], domains: ['temu.com', 'temu.to'] }
+};
+
+// "this video is sponsored by X", "thanks to X for sponsoring", "today's sponsor, X"
+// Brand names are usually capitalized; auto-captions are not, so the first word may be either
+const SPONSOR_PHRASES = [
+    /\b(?:[Ss]ponsored|[Bb]rought\s+to\s+you)\s+by\s+([\w][\w.&'-]*(?:\s+[A-Z][\w.&'-]*){0,2})/g,
+    /\b[Tt]hanks?\s+to\s+([\w][\w.&'-]*(?:\s+[A-Z][\w.&'-]*){0,2})\s+for\s+sponsoring\b/g,
+    /\b[Tt]oday'?s\s+sponsor(?:\s+is)?[,:]?\s+([\w][\w.&'-]*(?:\s+[A-Z][\w.&'-]*){0,2})/g,
+    /\b(?:[Pp]artnered|[Pp]artnering)\s+with\s+([\w][\w.&'-]*(?:\s+[A-Z][\w.&'-]*){0,2})/g
+];
+
+// Words that can follow a sponsor phrase without being a brand
+const PHRASE_STOP_WORDS = new Set([
+    'the', 'a', 'an', 'our', 'my', 'this', 'these', 'today', 'todays', "today's", 'you', 'your',
+    'me', 'us', 'them', 'him', 'her', 'everyone', 'all', 'some', 'one', 'viewers', 'patrons'
+]);
+
+// Affiliate/tracking markers that make an unknown link worth naming as a sponsor
+const AFFILIATE_LINK_PATTERN = /(?:[?&](?:ref|aff|affiliate|utm_source|utm_campaign)=|\/(?:utm|ref|aff|r)\/)/i;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+class SponsorDetector {
+    constructor(options = {}) {
+        this.brands = { ...KNOWN_SPONSORS, ...(options.brands || {}) };
+    }
+
+    // Canonical brand for a free-text name, or null if it's not in the dictionary
+    canonicalize(name) {
+        const lower = name.toLowerCase().trim();
+        for (const [brand, { aliases = [], domains = [] }] of Object.entries(this.brands)) {
+            if (brand.toLowerCase() === lower || aliases.includes(lower) || domains.includes(lower)) {
+                return brand;
+            }
+        }
+        return null;
+    }
+
+    brandForHostname(hostname) {
+        for (const [brand, { domains = [] }] of Object.entries(this.brands)) {
+            if (domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+                return brand;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds where sponsors are mentioned in the text (dictionary names and sponsor phrases).
+     * @param {string} text Transcript text.
+     * @returns {Array<{brand: string, signal: 'dictionary'|'phrase', known: boolean, start: number, end: number}>}
+     */
+    findMentions(text = '') {
+        if (typeof text !== 'string' || text.length === 0) return [];
+        const mentions = [];
+        const seen = new Set();
+        const add = (mention) => {
+            const key = `${mention.brand}:${mention.start}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            mentions.push(mention);
+        };
+
+        // 1. Dictionary mentions
+        for (const [brand, { aliases = [], ambiguous = false }] of Object.entries(this.brands)) {
+            const names = ambiguous ? aliases : [brand, ...aliases];
+            for (const name of names) {
+                const pattern = new RegExp(`(?:^|[^\\w])(${escapeRegExp(name)})(?![\\w])`, 'gi');
+                for (const match of text.matchAll(pattern)) {
+                    const start = match.index + match[0].length - match[1].length;
+                    add({ brand, signal: 'dictionary', known: true, start, end: start + match[1].length });
+                }
+            }
+        }
+
+        // 2. Sponsor phrases
+        for (const pattern of SPONSOR_PHRASES) {
+            for (const match of text.matchAll(pattern)) {
+                // Stop at the end of the sentence ("sponsored by NordVPN. Get...")
+                const name = match[1].split(/[.,!?]\s/)[0].replace(/[.,'!?]+$/, '').trim();
+                if (!name || PHRASE_STOP_WORDS.has(name.split(/\s+/)[0].toLowerCase())) continue;
+
+                const canonical = this.canonicalize(name);
+                const start = match.index + match[0].lastIndexOf(match[1]);
+                add({
+                    brand: canonical || name,
+                    signal: 'phrase',
+                    known: Boolean(canonical),
+                    start,
+                    end: start + name.length
+                });
+            }
+        }
+
+        return mentions.sort((a, b) => a.start - b.start);
+    }
+
+    // Sponsor brand behind a link, named after its domain when it's an unknown affiliate link
+    brandForLink(link) {
+        const hostname = getHostname(link);
+        if (!hostname) return null;
+
+        const brand = this.brandForHostname(hostname);
+        if (brand) return { brand, known: true };
+        if (AFFILIATE_LINK_PATTERN.test(link)) {
+            // Unknown affiliate link: name it after the registrable domain (csgo.net -> CSGO.NET)
+            return { brand: hostname.split('.').slice(-2).join('.').toUpperCase(), known: false };
+        }
+        return null;
+    }
+
+    /**
+     * Detects sponsors from the brand dictionary, link domains and sponsor phrases.
+     * @param {string} text Transcript text.
+     * @param {string[]} links Links found in the text.
+     * @returns {{sponsorBrands: string[], sponsors: Array<{brand: string, signals: string[], known: boolean}>}}
+     */
+    detect(text = '', links = []) {
+        const found = new Map();
+        const add = (brand, signal, known) => {
+            const entry = found.get(brand) || { brand, signals: [], known };
+            if (!entry.signals.includes(signal)) entry.signals.push(signal);
+            entry.known = entry.known || known;
+            found.set(brand, entry);
+        };
+
+        for (const mention of this.findMentions(text)) {
+            add(mention.brand, mention.signal, mention.known);
+        }
+
+        // 3. Link domains
+        for (const link of Array.isArray(links) ? links : []) {
+            const linkBrand = this.brandForLink(link);
+            if (linkBrand) add(linkBrand.brand, 'link', linkBrand.known);
+        }
+
+        const sponsors = Array.from(found.values());
+        return {
+            sponsorBrands: sponsors.map(sponsor => sponsor.brand),
+            sponsors
+        };
+    }
+}
+
+// Shared detector, extended with brands from smartfetch-config.json
+const detector = new SponsorDetector({
+    brands: config.loadConfig().extraction?.sponsors?.brands
+});
+
+function detectSponsors(text, links) {
+    return detector.detect(text, links);
+}
+
+function findSponsorMentions(text) {
+    return detector.findMentions(text);
+}
+
+function findLinkSponsor(link) {
+    return detector.brandForLink(link);
+}
+
+module.exports = {
+    detectSponsors,
+    findSponsorMentions,
+    findLinkSponsor,
+    SponsorDetector,
+    KNOWN_SPONSORS,
+    escapeRegExp
+};
@@ -53,7 +53,8 @@ async function ensureHeaders(sheet) {
     const expectedHeaders = [
         'sourceId', 'title', 'sourceUrl', 'subreddit', 'author', 
         'timestamp', 'upvotes', 'comments', 'links', 'codes', 
-        'percent_off', 'flat_discount', 'confidence', 'status'
+        'percent_off', 'flat_discount', 'confidence', 'status',
+        'code_timestamps', 'offerId', 'merchant', 'score_details'
     ];
 
     try {
@@ -78,6 +79,100 @@ async function ensureHeaders(sheet) {
     }
 }
 
+// "CODE@seconds" for the first timed mention of each code, pipe-joined
+function formatCodeTimestamps(evidence, onlyCode = null) {
+    if (!evidence || !evidence.codes) return '';
+
+    return Object.entries(evidence.codes)
+        .filter(([code]) => !onlyCode || code === onlyCode)
+        .map(([code, records]) => {
+            const timed = (records || []).find(record => typeof record.timestamp === 'number');
+            return timed ? `${code}@${Math.floor(timed.timestamp)}` : null;
+        })
+        .filter(Boolean)
+        .join(' | ');
+}
+
+// scoreMatchDetailed output (plus the status explanation) as JSON for the dashboard's "why this score" panel
+function formatScoreDetails(postData) {
+    if (!postData.scoreDetails) return '';
+
+    const { score, breakdown, reasons, penalties } = postData.scoreDetails;
+    return JSON.stringify({
+        score,
+        breakdown,
+        reasons,
+        penalties,
+        ...(postData.codeSources ? { codeSources: postData.codeSources } : {}),
+        ...(postData.codeExtractors ? { codeExtractors: postData.codeExtractors } : {}),
+        ...(postData.statusReason ? { statusReason: postData.statusReason } : {})
+    });
+}
+
+// Rows to write for one post/video: one per code offer, or a single row when
+// extraction found links but no codes (or predates offer records)
+function buildRows(postData, sourceId) {
+    const baseRow = {
+        sourceId,
+        title: postData.title || postData.videoTitle || 'N/A',
+        sourceUrl: postData.sourceUrl || '',
+        subreddit: postData.subreddit || '',
+        author: postData.author || postData.channelTitle || '',
+        timestamp: postData.timestamp || new Date().toISOString(),
+        upvotes: postData.upvotes || 0,
+        comments: postData.comments || 0,
+        confidence: postData.confidence || 0,
+        status: 'active',
+        score_details: formatScoreDetails(postData)
+    };
+
+    const promotions = Array.isArray(postData.promotions) ? postData.promotions : [];
+    if (promotions.length === 0) {
+        return [{
+            ...baseRow,
+            links: Array.isArray(postData.links) ? postData.links.join(' | ') : (postData.links || ''),
+            codes: Array.isArray(postData.codes) ? postData.codes.join(' | ') : (postData.codes || ''),
+            percent_off: Array.isArray(postData.percent_off) ? postData.percent_off.join(', ') : (postData.percent_off || ''),
+            flat_discount: Array.isArray(postData.flat_discount) ? postData.flat_discount.join(', ') : (postData.flat_discount || ''),
+            code_timestamps: formatCodeTimestamps(postData.evidence),
+            offerId: sourceId,
+            merchant: Array.isArray(postData.sponsorBrands) ? postData.sponsorBrands.join(' | ') : ''
+        }];
+    }
+
+    const rows = promotions.map(promotion => {
+        const discount = promotion.discount || {};
+        return {
+            ...baseRow,
+            links: promotion.link || '',
+            codes: promotion.code,
+            percent_off: discount.kind === 'percent_off' ? discount.value : '',
+            flat_discount: discount.kind === 'flat_discount' ? discount.value : '',
+            code_timestamps: formatCodeTimestamps(postData.evidence, promotion.code),
+            offerId: `${sourceId}:${promotion.code}`,
+            merchant: promotion.merchant || ''
+        };
+    });
+
+    // Codes only the AI extraction found have no promotion record
+    const promotedCodes = promotions.map(promotion => promotion.code);
+    for (const code of postData.codes || []) {
+        if (promotedCodes.includes(code)) continue;
+        rows.push({
+            ...baseRow,
+            links: '',
+            codes: code,
+            percent_off: '',
+            flat_discount: '',
+            code_timestamps: '',
+            offerId: `${sourceId}:${code}`,
+            merchant: ''
+        });
+    }
+
+    return rows;
+}
+
 module.exports = async function syncToSheet(postData) {
     // Skip if Google Sheets not configured
     if (!SHEET_ID || !GOOGLE_SERVICE_ACCOUNT_EMAIL || !GOOGLE_PRIVATE_KEY) {
@@ -85,9 +180,12 @@ module.exports = async function syncToSheet(postData) {
         return false;
     }
 
+    // YouTube results carry videoId rather than sourceId
+    const sourceId = postData?.sourceId || postData?.videoId;
+
     try {
         // Input validation
-        if (!postData || !postData.sourceId) {
+        if (!postData || !sourceId) {
             throw new Error('Invalid postData: missing sourceId');
         }
 
@@ -98,41 +196,30 @@ module.exports = async function syncToSheet(postData) {
         
         // Get existing rows to check for duplicates
         const rows = await sheet.getRows();
-        
-        // FIXED: Check for duplicates using 'sourceId' (not 'videoId')
-        const alreadyExists = rows.some(row => row.get('sourceId') === postData.sourceId);
 
-        if (alreadyExists) {
-            console.log(`⏩ Skipping duplicate sourceId: ${postData.sourceId}`);
+        // Rows written before offer records have no offerId; treat the whole source as synced
+        const isLegacyDuplicate = rows.some(row => !row.get('offerId') && row.get('sourceId') === sourceId);
+        if (isLegacyDuplicate) {
+            console.log(`⏩ Skipping duplicate sourceId: ${sourceId}`);
             return false;
         }
 
-        // Prepare row data with safe array/value handling
-        const rowData = {
-            sourceId: postData.sourceId,
-            title: postData.title || 'N/A',
-            sourceUrl: postData.sourceUrl || '',
-            subreddit: postData.subreddit || '',
-            author: postData.author || '',
-            timestamp: postData.timestamp || new Date().toISOString(),
-            upvotes: postData.upvotes || 0,
-            comments: postData.comments || 0,
-            links: Array.isArray(postData.links) ? postData.links.join(' | ') : (postData.links || ''),
-            codes: Array.isArray(postData.codes) ? postData.codes.join(' | ') : (postData.codes || ''),
-            percent_off: Array.isArray(postData.percent_off) ? postData.percent_off.join(', ') : (postData.percent_off || ''),
-            flat_discount: Array.isArray(postData.flat_discount) ? postData.flat_discount.join(', ') : (postData.flat_discount || ''),
-            confidence: postData.confidence || 0,
-            status: 'active'
-        };
+        const existingOfferIds = new Set(rows.map(row => row.get('offerId')).filter(Boolean));
+        const newRows = buildRows(postData, sourceId).filter(row => !existingOfferIds.has(row.offerId));
+
+        if (newRows.length === 0) {
+            console.log(`⏩ Skipping duplicate sourceId: ${sourceId}`);
+            return false;
+        }
 
-        // Add the row
-        await sheet.addRow(rowData);
+        // One row per offer
+        await sheet.addRows(newRows);
         
-        console.log(`✅ Synced to Google Sheet: ${postData.sourceId} (${postData.codes?.length || 0} codes)`);
+        console.log(`✅ Synced to Google Sheet: ${sourceId} (${newRows.length} offer rows)`);
         return true;
 
     } catch (error) {
-        console.error(`❌ Google Sheets Sync Error for ${postData?.sourceId || 'unknown'}:`, error.message);
+        console.error(`❌ Google Sheets Sync Error for ${sourceId || 'unknown'}:`, error.message);
         
         // Clear cache on authentication errors
         if (error.message.includes('authentication') || error.message.includes('access') || error.message.includes('permission')) {
@@ -0,0 +1,131 @@
+// test/aiPostProcessor.test.js - Response cache, usage tracking and the request queue
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AIResponseCache, UsageTracker, EnhancedAIPostProcessor, RateLimitedQueue } = require('../aiPostProcessor');
+
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'smartfetch-ai-')), name);
+}
+
+function quietly(fn) {
+    return async () => {
+        const { log } = console;
+        console.log = () => {};
+        try {
+            await fn();
+        } finally {
+            console.log = log;
+        }
+    };
+}
+
+// An error shaped like the ones llmProviders throws for HTTP failures
+function httpError(status, headers = {}) {
+    const error = new Error(`API error: ${status}`);
+    error.status = status;
+    error.headers = headers;
+    return error;
+}
+
+test('the cache key changes with the regex result a rescore prompt describes', () => {
+    const processor = new EnhancedAIPostProcessor({ cache: false });
+    const transcript = 'Use code SAVE20 for 20% off at example.com';
+    const keyFor = result => processor.cacheKey(processor.prompts.rescore,
+        processor.selectPromptChunks(result, transcript).map(text => processor.generatePrompt(result, text)));
+
+    const before = keyFor({ codes: ['SAVE20'], codeConfidence: { SAVE20: 0.5 }, confidence: 0.3 });
+    assert.strictEqual(keyFor({ codes: ['SAVE20'], codeConfidence: { SAVE20: 0.5 }, confidence: 0.3 }), before);
+    assert.notStrictEqual(keyFor({ codes: ['SAVE20'], codeConfidence: { SAVE20: 0.9 }, confidence: 0.3 }), before);
+    assert.notStrictEqual(keyFor({ codes: ['SAVE20', 'EXTRA'], codeConfidence: { SAVE20: 0.5 }, confidence: 0.3 }), before);
+    assert.notStrictEqual(keyFor({ codes: ['SAVE20'], codeConfidence: { SAVE20: 0.5 }, confidence: 0.35 }), before);
+});
+
+test('concurrent cache writes all reach the file', async () => {
+    const cacheFile = tempFile('ai-response-cache.json');
+    const cache = new AIResponseCache(cacheFile);
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => cache.set(`key${i}`, { i })));
+
+    const saved = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    assert.strictEqual(Object.keys(saved).length, 20);
+    assert.strictEqual(fs.existsSync(`${cacheFile}.tmp`), false);
+});
+
+test('concurrent usage records are all saved', async () => {
+    const usageFile = tempFile('ai-usage.json');
+    const usage = new UsageTracker({ usageFile, pricing: { 'test-model': { input: 1, output: 2 } } });
+
+    await Promise.all(Array.from({ length: 20 }, () => usage.record('test-model', { inputTokens: 100, outputTokens: 10 })));
+
+    const saved = JSON.parse(fs.readFileSync(usageFile, 'utf8'));
+    assert.strictEqual(saved.requests, 20);
+    assert.strictEqual(saved.inputTokens, 2000);
+    assert.strictEqual(usage.run.requests, 20);
+});
+
+test('a 429 waits at least as long as Retry-After, and pauses the requests queued behind it', quietly(async () => {
+    const queue = new RateLimitedQueue({ requestsPerMinute: 6000, baseBackoffMs: 1 });
+    const calls = [];
+    let failed = false;
+
+    const limited = queue.add(async () => {
+        calls.push({ name: 'limited', at: Date.now() });
+        if (!failed) {
+            failed = true;
+            throw httpError(429, { 'retry-after-ms': '300' });
+        }
+        return 'ok';
+    });
+    const queued = queue.add(async () => {
+        calls.push({ name: 'queued', at: Date.now() });
+        return 'next';
+    });
+
+    assert.deepStrictEqual(await Promise.all([limited, queued]), ['ok', 'next']);
+    assert.deepStrictEqual(calls.map(call => call.name), ['limited', 'limited', 'queued']);
+    assert.ok(calls[1].at - calls[0].at >= 290, `retried after ${calls[1].at - calls[0].at}ms`);
+
+    const metrics = queue.getMetrics();
+    assert.strictEqual(metrics.rateLimited, 1);
+    assert.strictEqual(metrics.retries, 1);
+    assert.strictEqual(metrics.completed, 2);
+}));
+
+test('Retry-After in seconds is honoured over a shorter backoff', () => {
+    const queue = new RateLimitedQueue({ baseBackoffMs: 1 });
+    const delay = queue.backoffDelay(0, httpError(429, { 'retry-after': '2' }));
+    assert.ok(delay >= 2000 && delay < 2100, `delay was ${delay}ms`);
+});
+
+test('errors that are not rate limits or server errors fail without a retry', quietly(async () => {
+    const queue = new RateLimitedQueue({ requestsPerMinute: 6000, baseBackoffMs: 1 });
+    let attempts = 0;
+
+    await assert.rejects(queue.add(async () => {
+        attempts++;
+        throw httpError(400);
+    }), /API error: 400/);
+    assert.strictEqual(attempts, 1);
+    assert.strictEqual(queue.getMetrics().failed, 1);
+}));
+
+test('codes the AI confirms none of are dropped along with their promotions', quietly(async () => {
+    const processor = new EnhancedAIPostProcessor({ cache: false, threshold: 0.7 });
+    processor.assess = async () => ({
+        aiResult: { confidence: 0.8, reasoning: 'no real code', validCodes: [], recommendation: 'reject' },
+        repairAttempts: 0
+    });
+
+    const enhanced = await processor.processResult({
+        codes: ['RANKED'],
+        promotions: [{ code: 'RANKED', merchant: null }],
+        confidence: 0.4
+    }, "let's get into the ranked match", 'abc123');
+
+    assert.deepStrictEqual(enhanced.codes, []);
+    assert.deepStrictEqual(enhanced.promotions, []);
+}));
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ScoreCalibrator, THRESHOLDS, MIN_THRESHOLD_GAP } = require('../calibrate');
+
+// Report rows where only thresholds in [low, high] reach the best F1
+function rows(low, high) {
+    return THRESHOLDS.map(threshold => ({ threshold, f1: threshold >= low && threshold <= high ? 0.9 : 0.5 }));
+}
+
+test('thresholds stay apart when a single threshold has the best F1', () => {
+    const { accept, review, ai } = new ScoreCalibrator().deriveThresholds(rows(0.6, 0.6));
+
+    assert.strictEqual(accept, 0.6);
+    assert.ok(accept - ai >= MIN_THRESHOLD_GAP - 1e-9);
+    assert.ok(ai - review >= MIN_THRESHOLD_GAP - 1e-9);
+});
+
+test('thresholds stay above zero when the best F1 is at the lowest threshold', () => {
+    const { accept, review, ai } = new ScoreCalibrator().deriveThresholds(rows(0.05, 0.05));
+
+    assert.ok(review >= 0);
+    assert.ok(ai - review >= MIN_THRESHOLD_GAP - 1e-9);
+    assert.ok(accept - ai >= MIN_THRESHOLD_GAP - 1e-9);
+});
+
+test('accept is taken from the widest best-F1 range when there are several', () => {
+    // Best F1 at 0.05-0.10 and again at 0.45-0.70, with a dip in between
+    const report = THRESHOLDS.map(threshold => ({
+        threshold,
+        f1: threshold <= 0.1 || (threshold >= 0.45 && threshold <= 0.7) ? 0.9 : 0.5
+    }));
+    const { accept, range } = new ScoreCalibrator().deriveThresholds(report);
+
+    assert.deepStrictEqual(range, [0.45, 0.7]);
+    assert.ok(accept >= 0.45 && accept <= 0.7);
+});
@@ -0,0 +1,102 @@
+// test/channelWatcher.test.js - Seen-video state and upload bursts in ChannelWatcher
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChannelWatcher } = require('../channelWatcher');
+
+function tempStateFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartfetch-watch-'));
+    return path.join(dir, 'channel-watch-state.json');
+}
+
+function upload(n) {
+    return { videoId: `v${n}`, publishedAt: new Date(Date.UTC(2025, 0, 1, n)).toISOString(), title: `Video ${n}` };
+}
+
+// Behaves like fetchChannelVideoItems: newest first, publishedAfter inclusive, capped at maxResults
+function fakeChannel(uploads) {
+    return async (channelId, maxResults, { publishedAfter } = {}) => uploads
+        .filter(video => !publishedAfter || Date.parse(video.publishedAt) >= Date.parse(publishedAfter))
+        .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt))
+        .slice(0, maxResults);
+}
+
+function quietly(fn) {
+    return async () => {
+        const { log, error } = console;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+}
+
+test('a new channel starts from its latest maxResults uploads', quietly(async () => {
+    const uploads = Array.from({ length: 20 }, (_, i) => upload(i + 1));
+    const processed = [];
+    const watcher = new ChannelWatcher({
+        stateFile: tempStateFile(),
+        maxResults: 5,
+        fetchVideos: fakeChannel(uploads),
+        processVideo: async videoId => processed.push(videoId)
+    });
+
+    await watcher.checkChannel('UC1');
+    assert.deepStrictEqual(processed, ['v16', 'v17', 'v18', 'v19', 'v20']);
+}));
+
+test('every upload since the last check is processed, even past maxResults', quietly(async () => {
+    const uploads = [upload(0)];
+    const processed = [];
+    const stateFile = tempStateFile();
+    const options = {
+        stateFile,
+        maxResults: 10,
+        fetchVideos: fakeChannel(uploads),
+        processVideo: async videoId => processed.push(videoId)
+    };
+
+    await new ChannelWatcher(options).checkChannel('UC1');
+    assert.deepStrictEqual(processed, ['v0']);
+
+    // 14 uploads between two checks
+    uploads.push(...Array.from({ length: 14 }, (_, i) => upload(i + 1)));
+    await new ChannelWatcher(options).checkChannel('UC1');
+    assert.deepStrictEqual(processed, ['v0', ...Array.from({ length: 14 }, (_, i) => `v${i + 1}`)]);
+
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8')).UC1;
+    assert.strictEqual(state.lastVideoId, 'v14');
+    assert.strictEqual(state.processed, 15);
+
+    // Nothing new: nothing reprocessed
+    await new ChannelWatcher(options).checkChannel('UC1');
+    assert.strictEqual(processed.length, 15);
+}));
+
+test('running out of quota while listing uploads leaves state alone and stops the pass', quietly(async () => {
+    const stateFile = tempStateFile();
+    const listed = [];
+    const watcher = new ChannelWatcher({
+        stateFile,
+        fetchVideos: async channelId => {
+            listed.push(channelId);
+            const error = new Error('YouTube quota exceeded');
+            error.code = 'QUOTA_EXCEEDED';
+            throw error;
+        },
+        processVideo: async () => assert.fail('nothing should be processed')
+    });
+
+    await watcher.checkAll(['UC1', 'UC2']);
+
+    assert.deepStrictEqual(listed, ['UC1']);
+    assert.strictEqual(fs.existsSync(stateFile), false);
+    assert.deepStrictEqual(watcher.state.UC1, { lastVideoId: null, lastPublishedAt: null, lastCheckedAt: null, recentVideoIds: [], processed: 0 });
+}));
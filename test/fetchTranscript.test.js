@@ -0,0 +1,59 @@
+// test/fetchTranscript.test.js - Quota errors escape fetchTranscript
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+const { QuotaTracker, getYouTubeClient, isQuotaError } = require('../youtubeClient');
+
+// Captions come from a local stand-in for youtube-transcript, so no test hits YouTube
+let captions = [];
+const realLoad = Module._load;
+Module._load = function (request, ...rest) {
+    if (request === 'youtube-transcript') {
+        return { YoutubeTranscript: { fetchTranscript: async () => captions } };
+    }
+    return realLoad.call(this, request, ...rest);
+};
+const fetchTranscript = require('../fetchTranscript');
+Module._load = realLoad;
+
+// Points the shared client at an exhausted quota; `videos` are already looked up (free)
+function exhaustQuota(videos = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartfetch-quota-'));
+    const client = getYouTubeClient();
+    client.quota = new QuotaTracker({ limit: 0, usageFile: path.join(dir, 'youtube-quota.json') });
+    client.videoCache = new Map(Object.entries(videos));
+}
+
+test.beforeEach(() => {
+    captions = [];
+});
+
+test('running out of quota on the description lookup is not reported as "no transcript"', async () => {
+    exhaustQuota();
+    await assert.rejects(fetchTranscript('abc123', { mode: 'fallback' }), isQuotaError);
+});
+
+test('running out of quota on the description lookup fails combined mode even with captions', async () => {
+    captions = [{ text: 'hello', offset: 0, duration: 1 }];
+    exhaustQuota();
+    await assert.rejects(fetchTranscript('abc123', { mode: 'combined' }), isQuotaError);
+});
+
+test('running out of quota on the creator comment lookup fails combined mode', async () => {
+    captions = [{ text: 'hello', offset: 0, duration: 1 }];
+    exhaustQuota({ abc123: { id: 'abc123', snippet: { description: 'Use code SAVE20', channelId: 'UC123' } } });
+
+    await assert.rejects(fetchTranscript.fetchCreatorCommentSegments('abc123', 'UC123'), isQuotaError);
+    await assert.rejects(fetchTranscript('abc123', { mode: 'combined' }), isQuotaError);
+});
+
+test('fallback mode returns captions without spending quota', async () => {
+    captions = [{ text: 'hello', offset: 0, duration: 1 }];
+    exhaustQuota();
+    const segments = await fetchTranscript('abc123', { mode: 'fallback' });
+    assert.deepStrictEqual(segments.map(segment => segment.text), ['hello']);
+});
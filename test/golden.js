@@ -0,0 +1,151 @@
+// test/golden.js - Golden-file regression tests for the extraction pipeline
+//
+// Runs extractFromTranscript + scoreMatch over every transcript in transcripts/
+// and compares codes, links, discounts and confidence band to test/fixtures/<videoId>.json.
+//
+//   npm test                  # compare and print a diff report
+//   npm run test:update       # rewrite fixtures from the current output
+
+const fs = require('fs');
+const path = require('path');
+const { extractFromTranscript } = require('../textExtract');
+const scoreMatch = require('../scoreMatch');
+const { DEFAULT_WEIGHTS } = require('../scoreMatch');
+const { normalizeSpokenCodes } = require('../spokenCodeNormalizer');
+
+const TRANSCRIPTS_DIR = path.join(__dirname, '..', 'transcripts');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// SmartFetch's default accept/review thresholds; bands absorb small score changes
+const CONFIDENCE_BANDS = [
+    { band: 'accept', min: 0.6 },
+    { band: 'review', min: 0.3 },
+    { band: 'reject', min: 0 }
+];
+
+function getConfidenceBand(score) {
+    return CONFIDENCE_BANDS.find(({ min }) => score >= min).band;
+}
+
+// Extraction logs every step; keep the report readable
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+// The fields a fixture pins down, in a stable order
+async function runPipeline(videoId) {
+    const text = fs.readFileSync(path.join(TRANSCRIPTS_DIR, `${videoId}.txt`), 'utf-8');
+    const lines = text.split('\n');
+
+    return quietly(async () => {
+        const result = await extractFromTranscript(lines);
+        // Default weights, so a local smartfetch-config.json can't change the outcome
+        const confidence = scoreMatch({
+            ...result,
+            rawText: normalizeSpokenCodes(lines.join(' ').trim()).text,
+            weights: DEFAULT_WEIGHTS
+        });
+
+        return {
+            codes: [...(result.codes || [])].sort(),
+            links: [...(result.links || [])].sort(),
+            percent_off: result.percent_off || [],
+            flat_discount: result.flat_discount || [],
+            confidenceBand: getConfidenceBand(confidence),
+            confidence: Math.round(confidence * 1000) / 1000
+        };
+    });
+}
+
+function diffList(name, expected = [], actual = []) {
+    const missing = expected.filter(value => !actual.includes(value));
+    const extra = actual.filter(value => !expected.includes(value));
+    const lines = [];
+    if (missing.length > 0) lines.push(`${name}: missing ${missing.join(', ')}`);
+    if (extra.length > 0) lines.push(`${name}: unexpected ${extra.join(', ')}`);
+    return lines;
+}
+
+// confidence itself is recorded for reference only; the band is what's compared
+function compare(expected, actual) {
+    const differences = [
+        ...diffList('codes', expected.codes, actual.codes),
+        ...diffList('links', expected.links, actual.links),
+        ...diffList('percent_off', expected.percent_off, actual.percent_off),
+        ...diffList('flat_discount', expected.flat_discount, actual.flat_discount)
+    ];
+    if (expected.confidenceBand !== actual.confidenceBand) {
+        differences.push(`confidence band: expected ${expected.confidenceBand}, got ${actual.confidenceBand} (score ${actual.confidence}, was ${expected.confidence})`);
+    }
+    return differences;
+}
+
+async function main() {
+    const update = process.argv.includes('--update');
+    const videoIds = fs.readdirSync(TRANSCRIPTS_DIR)
+        .filter(file => file.endsWith('.txt'))
+        .map(file => path.basename(file, '.txt'))
+        .sort();
+
+    let failures = 0;
+    let total = videoIds.length;
+    console.log(`🧪 Golden-file tests: ${videoIds.length} transcripts\n`);
+
+    for (const videoId of videoIds) {
+        const fixturePath = path.join(FIXTURES_DIR, `${videoId}.json`);
+        const actual = await runPipeline(videoId);
+
+        if (update) {
+            fs.writeFileSync(fixturePath, JSON.stringify(actual, null, 2) + '\n');
+            console.log(`📝 ${videoId}: fixture written`);
+            continue;
+        }
+
+        if (!fs.existsSync(fixturePath)) {
+            failures++;
+            console.log(`❌ ${videoId}: no fixture (run npm run test:update)`);
+            continue;
+        }
+
+        const expected = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+        const differences = compare(expected, actual);
+        if (differences.length === 0) {
+            console.log(`✅ ${videoId}`);
+        } else {
+            failures++;
+            console.log(`❌ ${videoId}`);
+            differences.forEach(difference => console.log(`   - ${difference}`));
+        }
+    }
+
+    // Fixtures whose transcript was deleted would otherwise pass silently
+    if (!update) {
+        for (const file of fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.json'))) {
+            const videoId = path.basename(file, '.json');
+            if (!videoIds.includes(videoId)) {
+                total++;
+                failures++;
+                console.log(`❌ ${videoId}: fixture has no transcript`);
+            }
+        }
+    }
+
+    if (update) {
+        console.log(`\n✅ Updated ${videoIds.length} fixtures`);
+        return;
+    }
+
+    console.log(`\n${failures === 0 ? '✅' : '❌'} ${total - failures}/${total} transcripts match their fixtures`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('❌ Golden-file tests crashed:', error);
+    process.exitCode = 1;
+});
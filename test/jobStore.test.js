@@ -0,0 +1,101 @@
+// test/jobStore.test.js - Log replay, compaction and legacy import in JobStore
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobStore } = require('../jobStore');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'smartfetch-jobs-'));
+}
+
+function quietly(fn) {
+    return async () => {
+        const { log, error } = console;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            await fn();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    };
+}
+
+test('a torn last line is skipped and the jobs before it replay', quietly(async () => {
+    const file = path.join(tempDir(), 'failed-ai-requests.jsonl');
+    const store = new JobStore(file);
+    const first = await store.add({ videoId: 'v1', prompt: 'prompt one', error: new Error('API error: 429') });
+    await store.add({ videoId: 'v2', prompt: 'prompt two', error: new Error('API error: 500') });
+    // A crash halfway through writing the next line
+    fs.appendFileSync(file, '{"op":"add","job":{"id":"torn","vid');
+
+    const reloaded = new JobStore(file);
+    assert.deepStrictEqual(reloaded.all().map(job => job.videoId).sort(), ['v1', 'v2']);
+    assert.strictEqual(reloaded.get(first.id).prompt, 'prompt one');
+    assert.strictEqual(reloaded.get(first.id).errorType, 'rate_limit');
+
+    // Lines written after the torn one still replay
+    const third = await reloaded.add({ videoId: 'v3', prompt: 'prompt three', error: new Error('boom') });
+    const final = new JobStore(file);
+    assert.deepStrictEqual(final.all().map(job => job.videoId).sort(), ['v1', 'v2', 'v3']);
+    assert.strictEqual(final.get(third.id).prompt, 'prompt three');
+}));
+
+test('compaction keeps live jobs and drops removed ones and their prompts', quietly(async () => {
+    const file = path.join(tempDir(), 'failed-ai-requests.jsonl');
+    const store = new JobStore(file);
+    const kept = await store.add({ videoId: 'v1', prompt: 'kept prompt', error: new Error('API error: 429') });
+    const removed = await store.add({ videoId: 'v2', prompt: 'removed prompt', error: new Error('API error: 429') });
+    await store.update(kept.id, { retryCount: 2 });
+    await store.remove([removed.id]);
+
+    await store.compact();
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(line => line.op), ['prompt', 'add']);
+    assert.strictEqual(lines[0].text, 'kept prompt');
+
+    const reloaded = new JobStore(file);
+    assert.strictEqual(reloaded.all().length, 1);
+    assert.strictEqual(reloaded.get(kept.id).retryCount, 2);
+    assert.strictEqual(reloaded.get(kept.id).prompt, 'kept prompt');
+    assert.strictEqual(reloaded.get(removed.id), null);
+}));
+
+test('a failed compaction is logged, not thrown, and keeps the old log', quietly(async () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'failed-ai-requests.jsonl');
+    const store = new JobStore(file);
+    await store.add({ videoId: 'v1', prompt: 'prompt', error: new Error('boom') });
+    // The temp file can't be written where a directory of that name exists
+    fs.mkdirSync(`${file}.tmp`);
+
+    await store.compact();
+
+    assert.strictEqual(new JobStore(file).all().length, 1);
+    await store.add({ videoId: 'v2', prompt: 'prompt', error: new Error('boom') });
+    assert.strictEqual(new JobStore(file).all().length, 2);
+}));
+
+test('importing the legacy JSON file twice adds each record once', quietly(async () => {
+    const dir = tempDir();
+    const legacyFile = path.join(dir, 'failed-ai-requests.json');
+    fs.writeFileSync(legacyFile, JSON.stringify([
+        { videoId: 'v1', prompt: 'p1', error: 'API error: 429', timestamp: '2025-01-01T00:00:00.000Z', retryCount: 1 },
+        { videoId: 'v1', prompt: 'p1', error: 'API error: 500', timestamp: '2025-01-02T00:00:00.000Z' },
+        { videoId: 'v2', prompt: 'p2', error: 'Response failed validation', timestamp: '2025-01-03T00:00:00.000Z' }
+    ]));
+    const file = path.join(dir, 'failed-ai-requests.jsonl');
+
+    assert.strictEqual(await new JobStore(file).importLegacy(legacyFile), 3);
+    const store = new JobStore(file);
+    assert.strictEqual(await store.importLegacy(legacyFile), 0);
+
+    assert.strictEqual(store.all().length, 3);
+    assert.deepStrictEqual(store.countByErrorType(), { rate_limit: 1, server: 1, validation: 1 });
+    assert.strictEqual(store.findByVideo('v1').find(job => job.retryCount === 1).prompt, 'p1');
+}));
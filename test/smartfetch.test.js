@@ -0,0 +1,57 @@
+// test/smartfetch.test.js - Command-line parsing in smartfetch.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { main, parseArgs, retryArgs, smartFetchOptions } = require('../smartfetch');
+
+test('value flags take the next argument or an = value', () => {
+    const { positional, flags } = parseArgs(['UC1', '--max-results', '5', '--since=2025-01-01', '--no-ai', '-']);
+
+    assert.deepStrictEqual(positional, ['UC1', '-']);
+    assert.deepStrictEqual(flags, { 'max-results': '5', since: '2025-01-01', 'no-ai': true });
+});
+
+test('an = value keeps any further = signs', () => {
+    assert.strictEqual(parseArgs(['--file=list=2.txt']).flags.file, 'list=2.txt');
+});
+
+test('unknown flags and misused switches are rejected', () => {
+    assert.throws(() => parseArgs(['--max-result', '5']), /Unknown option --max-result/);
+    assert.throws(() => parseArgs(['--no-ai=yes']), /--no-ai takes no value/);
+    assert.throws(() => parseArgs(['--since']), /--since needs a value/);
+});
+
+test('--no-cache turns the AI cache off; without it the environment decides', () => {
+    assert.strictEqual(smartFetchOptions(parseArgs(['--no-cache']).flags).aiCache, false);
+    assert.strictEqual('aiCache' in smartFetchOptions(parseArgs([]).flags), false);
+});
+
+test('retry options are checked and passed on as --flag VALUE', () => {
+    assert.deepStrictEqual(retryArgs(['--max-age=48', '--dry-run']), ['retry', '--max-age', '48', '--dry-run']);
+    assert.deepStrictEqual(retryArgs(['show', 'abc123']), ['show', 'abc123']);
+
+    assert.throws(() => retryArgs(['--max-age']), /--max-age needs a value/);
+    assert.throws(() => retryArgs(['--max-age', 'soon']), /--max-age must be a non-negative number/);
+    assert.throws(() => retryArgs(['--dryrun']), /Unknown option --dryrun/);
+    assert.throws(() => retryArgs(['--no-ai']), /Unknown option --no-ai/);
+    assert.throws(() => retryArgs(['stat']), /Unknown retry command "stat"/);
+    assert.throws(() => retryArgs(['show']), /retry show needs one VIDEO_ID/);
+});
+
+test('an unknown command prints usage and fails', async () => {
+    const { log, error } = console;
+    const printed = [];
+    console.log = text => printed.push(text);
+    console.error = text => printed.push(text);
+    try {
+        await main(['scna', 'video', 'abc']);
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+
+    assert.strictEqual(process.exitCode, 1);
+    assert.match(printed.join('\n'), /Unknown command "scna"/);
+    assert.match(printed.join('\n'), /Usage: smartfetch/);
+    process.exitCode = 0;
+});
@@ -0,0 +1,51 @@
+// test/spokenCodeNormalizer.test.js - Spoken code spellings from auto-captions
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeSpokenCodes } = require('../spokenCodeNormalizer');
+
+const normalize = text => normalizeSpokenCodes(text).text;
+
+test('letter-by-letter spellings are joined', () => {
+    assert.strictEqual(normalize('use code M K B H D at checkout'), 'use code MKBHD at checkout');
+    assert.strictEqual(normalize('promo code m.k.b.h.d'), 'promo code MKBHD');
+});
+
+test('spoken numbers after a code word become digits', () => {
+    assert.strictEqual(normalize('code donut fifty for half off'), 'code DONUT50 for half off');
+});
+
+test('hyphenated spellings are de-hyphenated', () => {
+    assert.strictEqual(normalize('use code S-A-V-E twenty today'), 'use code SAVE20 today');
+    assert.strictEqual(normalize('coupon SAVE-20 works'), 'coupon SAVE20 works');
+});
+
+test('"the code is" is read past', () => {
+    assert.strictEqual(normalize('the code is S-A-V-E twenty'), 'the code is SAVE20');
+});
+
+test('a digit suffix stays with a spelled code', () => {
+    assert.strictEqual(normalize('use code G A M E R Z 15 for 15% off'), 'use code GAMERZ15 for 15% off');
+});
+
+test('numbers that are the discount stay out of the code', () => {
+    assert.strictEqual(normalize('code donut fifty percent off'), 'code donut fifty percent off');
+    assert.strictEqual(normalize('use code M K B H D 20% off'), 'use code MKBHD 20% off');
+});
+
+test('ordinary speech after "code" is left alone', () => {
+    assert.strictEqual(normalize('the code is in the description'), 'the code is in the description');
+    assert.strictEqual(normalize('this code runs fast'), 'this code runs fast');
+    assert.strictEqual(normalize('see https://example.com/code/a-b-c'), 'see https://example.com/code/a-b-c');
+});
+
+test('replacements keep the spoken form and map back to the original text', () => {
+    const text = 'use code G A M E R Z 15 now';
+    const result = normalizeSpokenCodes(text);
+
+    assert.deepStrictEqual(result.replacements, [{ spoken: 'G A M E R Z 15', normalized: 'GAMERZ15', start: 9, end: 23 }]);
+    const start = result.text.indexOf('GAMERZ15');
+    assert.strictEqual(result.toOriginal(start), 9);
+    assert.strictEqual(result.toOriginal(start + 'GAMERZ15'.length, true), 23);
+    assert.deepStrictEqual(result.describe(start, start + 8), { spoken: 'G A M E R Z 15', normalized: 'GAMERZ15' });
+});
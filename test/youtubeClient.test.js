@@ -0,0 +1,97 @@
+// test/youtubeClient.test.js - Quota metering in YouTubeClient
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { YouTubeClient, QuotaTracker, isQuotaError } = require('../youtubeClient');
+
+function tempQuotaFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartfetch-quota-'));
+    return path.join(dir, 'youtube-quota.json');
+}
+
+// Runs fn with Date.now() fixed at `iso`
+async function at(iso, fn) {
+    const realNow = Date.now;
+    Date.now = () => Date.parse(iso);
+    try {
+        return await fn();
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+// Local stand-in for the Data API: answers with `statuses` in turn, then 200s
+async function fakeApi(statuses) {
+    const server = http.createServer((req, res) => {
+        res.statusCode = statuses.shift() || 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ items: [] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server;
+}
+
+function clientFor(server, options = {}) {
+    const client = new YouTubeClient({ apiKey: 'test', requestDelay: 0, quotaFile: tempQuotaFile(), ...options });
+    client.http.defaults.baseURL = `http://127.0.0.1:${server.address().port}`;
+    return client;
+}
+
+test('every retried attempt is charged', async () => {
+    const server = await fakeApi([500, 503]);
+    try {
+        const client = clientFor(server);
+        await client.request('search', { q: 'test' });
+
+        const stats = await client.getQuotaStats();
+        assert.strictEqual(stats.run, 300);
+        assert.strictEqual(stats.byEndpoint.search, 300);
+    } finally {
+        server.close();
+    }
+});
+
+test('a retry that would pass the daily limit fails with a quota error', async () => {
+    const server = await fakeApi([500, 500]);
+    try {
+        const client = clientFor(server, { quotaLimit: 150 });
+        await assert.rejects(client.request('search', { q: 'test' }), isQuotaError);
+        assert.strictEqual(await client.quota.used(), 100);
+    } finally {
+        server.close();
+    }
+});
+
+test('usage starts over at midnight Pacific and earlier days stay in the file', async () => {
+    const usageFile = tempQuotaFile();
+    const quota = new QuotaTracker({ limit: 100, usageFile });
+
+    // 23:30 and 00:30 Pacific (PST, UTC-8)
+    await at('2025-01-15T07:30:00Z', async () => {
+        await quota.record('search', 100);
+        assert.strictEqual(await quota.canSpend(1), false);
+        assert.strictEqual(quota.resetsAt().toISOString(), '2025-01-15T08:00:00.000Z');
+    });
+    await at('2025-01-15T08:30:00Z', async () => {
+        assert.strictEqual(await quota.used(), 0);
+        assert.strictEqual(await quota.canSpend(100), true);
+        await quota.record('videos', 1);
+    });
+
+    const { days } = JSON.parse(fs.readFileSync(usageFile, 'utf8'));
+    assert.deepStrictEqual(Object.keys(days).sort(), ['2025-01-14', '2025-01-15']);
+    assert.strictEqual(days['2025-01-14'].used, 100);
+    assert.strictEqual(days['2025-01-15'].used, 1);
+});
+
+test('the reset follows daylight saving time', async () => {
+    const quota = new QuotaTracker({ usageFile: tempQuotaFile() });
+    // 20:00 PDT (UTC-7) on 1 July: resets at 07:00 UTC
+    await at('2025-07-02T03:00:00Z', () => {
+        assert.strictEqual(quota.resetsAt().toISOString(), '2025-07-02T07:00:00.000Z');
+    });
+});
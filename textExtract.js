@@ -1,6 +1,12 @@
 // textExtract.js - ENHANCED WITH DEFENSIVE PROGRAMMING
 
-const scoreMatch = require('./scoreMatch');
+const { scoreMatchDetailed, getCodeConfidence } = require('./scoreMatch');
+const { parseDiscounts, OFFER_KINDS } = require('./discountParser');
+const { normalizeSpokenCodes } = require('./spokenCodeNormalizer');
+const { detectSponsors, findSponsorMentions } = require('./sponsorDetector');
+const { associateOffers } = require('./offerAssociator');
+const extractorRegistry = require('./extractorRegistry');
+const { CONFIDENCE_TIERS, TIER_ORDER } = require('./extractorRegistry');
 
 // Expanded blacklist for false positives
 const BLACKLISTED_CODES = new Set([
@@ -72,6 +78,68 @@ function isValidCode(code) {
     return true;
 }
 
+// Characters of surrounding text kept on each side of a match as evidence
+const EVIDENCE_CONTEXT_CHARS = 40;
+
+// Build an evidence record for a match at [start, end) of text
+function makeEvidence(text, start, end, extra = {}) {
+    const from = Math.max(0, start - EVIDENCE_CONTEXT_CHARS);
+    const to = Math.min(text.length, end + EVIDENCE_CONTEXT_CHARS);
+    return {
+        snippet: text.slice(from, to).trim(),
+        match: text.slice(start, end),
+        start,
+        end,
+        ...extra
+    };
+}
+
+function addEvidence(evidenceMap, key, record) {
+    const list = evidenceMap.get(key) || [];
+    if (!list.some(existing => existing.start === record.start)) {
+        list.push(record);
+    }
+    evidenceMap.set(key, list);
+}
+
+// Offsets of a capture group within the full text
+function getGroupSpan(match, group) {
+    const captured = match[group];
+    const relative = group === 0 ? 0 : Math.max(0, match[0].indexOf(captured));
+    const start = match.index + relative;
+    return { start, end: start + captured.length };
+}
+
+// Run one registry rule over the text, recording which rule produced each code.
+// High tier keeps the strongest match; lower tiers never replace an existing code.
+// evidenceAt(start, end, extra) builds the evidence record for a span of text.
+function applyExtractorRule(rule, text, codes, evidence, evidenceAt) {
+    const confidence = CONFIDENCE_TIERS[rule.tier];
+
+    for (const match of text.matchAll(rule.pattern)) {
+        try {
+            const code = match[rule.group]?.trim()?.toUpperCase();
+            if (!code || !isValidCode(code)) continue;
+            if (rule.validator && !rule.validator(code, match)) continue;
+
+            const { start, end } = getGroupSpan(match, rule.group);
+            addEvidence(evidence, code, evidenceAt(start, end, { rule: rule.name }));
+
+            const current = codes.get(code);
+            if (current && (rule.tier !== 'high' || current.confidence >= confidence)) continue;
+
+            codes.set(code, {
+                confidence,
+                rule: rule.name,
+                tier: rule.tier,
+                source: rule.source
+            });
+        } catch (err) {
+            console.log(`⚠️ Error processing ${rule.tier} confidence code:`, err.message);
+        }
+    }
+}
+
 function extractCodes(text) {
     // Defensive input validation
     if (!text || typeof text !== 'string') {
@@ -85,6 +153,8 @@ function extractCodes(text) {
         };
     }
 
+    // Evidence offsets are reported against the untrimmed input text
+    const leadingWhitespace = text.length - text.trimStart().length;
     const cleanText = text.trim();
     if (cleanText.length === 0) {
         console.log("⚠️ Empty text input for extraction");
@@ -97,170 +167,90 @@ function extractCodes(text) {
         };
     }
 
+    // Reassemble spoken spellings ("M K B H D", "donut fifty") before matching;
+    // evidence keeps pointing at, and quoting, the original spoken form
+    const normalization = normalizeSpokenCodes(cleanText);
+    const workingText = normalization.text;
+    if (normalization.replacements.length > 0) {
+        console.log(`🗣️ Normalized spoken codes: ${normalization.replacements.map(r => `"${r.spoken}" → ${r.normalized}`).join(', ')}`);
+    }
+    const evidenceAt = (start, end, extra = {}) => makeEvidence(
+        cleanText,
+        normalization.toOriginal(start),
+        normalization.toOriginal(end, true),
+        { ...extra, ...normalization.describe(start, end) }
+    );
+
     const patterns = {
-        links: /https?:\/\/[^\s\)]+/g,
-        
-        // High-confidence patterns (more specific context)
-        highConfidenceCodes: {
-            // "Use code SAVE20 for..." or "Enter WELCOME15 at..."
-            actionable: /(?:use|enter|apply|redeem|type|input)\s+(?:code|promo|coupon)?[\s:\-"']*([A-Z0-9]{3,12})\b/gi,
-            
-            // "Code: SAVE20" or "Promo: WELCOME15"
-            labeled: /(?:code|promo|coupon|discount)[\s:\-=]+([A-Z0-9]{3,12})\b/gi,
-            
-            // Quoted codes "SAVE20" or 'WELCOME15'
-            quoted: /["']([A-Z0-9]{4,10})["']/g,
-            
-            // Checkout context: "checkout with SAVE20"
-            checkout: /checkout[\s\w]*(?:with|using|code)[\s:\-]*([A-Z0-9]{3,12})\b/gi,
-        },
-        
-        // Medium-confidence patterns
-        mediumConfidenceCodes: {
-            // Get/Save patterns: "get SAVE20" or "save with WELCOME15"
-            getSave: /(?:get|save|grab|claim)[\s\w]{0,10}([A-Z0-9]{4,10})\b/gi,
-            
-            // Percentage tied to code: "SAVE20 for 20% off"
-            percentTied: /([A-Z0-9]{4,10})\s+(?:for|gives?|gets?)[\s\w]*\d+%/gi,
-            
-            // Legacy coupon/promo patterns
-            coupon: /coupon[\s:\-]*([A-Z0-9]{3,15})/gi,
-            promo: /promo(?:code)?[\s:\-=]*([A-Z0-9]{3,15})/gi,
-        },
-        
-        // Low-confidence fallback (restrictive)
-        lowConfidenceCodes: {
-            // Only strong alphanumeric patterns in promotional contexts
-            contextual: /(?:discount|deal|offer|save|promo|special)[\s\w]{0,20}([A-Z0-9]{4,10})\b/gi,
-            
-            // Standalone alphanumeric (very restrictive)
-            standalone: /\b(?=.*[A-Z])(?=.*[0-9])[A-Z0-9]{5,10}\b(?!\d)/g
-        },
-        
-        // Discount patterns
-        percentOff: /(\d+)%\s*(?:off|discount|savings?)/gi,
-        flatDiscount: /(?:\$|₹|£|€)(\d+(?:\.\d{1,2})?)\s*(?:off|discount|cashback|savings?)/gi
+        links: /https?:\/\/[^\s\)]+/g
     };
 
     const results = {
         links: new Set(),
-        codes: new Map(), // Map to track confidence levels
+        codes: new Map(), // code -> { confidence, rule, tier, source }
         percent_off: new Set(),
-        flat_discount: new Set()
+        flat_discount: new Set(),
+        offers: [] // { kind, value, currency, conditions, match, start, end }
     };
 
-    // Confidence levels
-    const confidenceLevels = {
-        high: 0.9,
-        medium: 0.6,
-        low: 0.3
+    // value -> [{ snippet, match, start, end }]
+    const evidence = {
+        links: new Map(),
+        codes: new Map(),
+        percent_off: new Map(),
+        flat_discount: new Map()
     };
 
     try {
         // Extract links with defensive handling
-        const linkMatches = cleanText.matchAll(patterns.links);
+        const linkMatches = workingText.matchAll(patterns.links);
         for (const match of linkMatches) {
             try {
                 const link = match[0]?.trim();
                 if (link && !isGenericLink(link)) {
                     results.links.add(link);
+                    addEvidence(evidence.links, link, evidenceAt(match.index, match.index + match[0].length));
                 }
             } catch (err) {
                 console.log("⚠️ Error processing link match:", err.message);
             }
         }
 
-        // High confidence patterns
-        for (const [patternName, pattern] of Object.entries(patterns.highConfidenceCodes)) {
-            try {
-                const matches = cleanText.matchAll(pattern);
-                for (const match of matches) {
-                    try {
-                        const code = match[1]?.trim()?.toUpperCase();
-                        if (code && isValidCode(code)) {
-                            const currentConf = results.codes.get(code) || 0;
-                            results.codes.set(code, Math.max(currentConf, confidenceLevels.high));
-                        }
-                    } catch (err) {
-                        console.log("⚠️ Error processing high confidence code:", err.message);
-                    }
-                }
-            } catch (err) {
-                console.log(`⚠️ Error with high confidence pattern ${patternName}:`, err.message);
-            }
-        }
-
-        // Medium confidence patterns
-        for (const [patternName, pattern] of Object.entries(patterns.mediumConfidenceCodes)) {
-            try {
-                const matches = cleanText.matchAll(pattern);
-                for (const match of matches) {
-                    try {
-                        const code = match[1]?.trim()?.toUpperCase();
-                        if (code && isValidCode(code) && !results.codes.has(code)) {
-                            results.codes.set(code, confidenceLevels.medium);
-                        }
-                    } catch (err) {
-                        console.log("⚠️ Error processing medium confidence code:", err.message);
-                    }
-                }
-            } catch (err) {
-                console.log(`⚠️ Error with medium confidence pattern ${patternName}:`, err.message);
-            }
-        }
+        // Code patterns come from the extractor registry, applied tier by tier
+        for (const tier of TIER_ORDER) {
+            // Low confidence patterns only if we haven't found many codes yet
+            if (tier === 'low' && results.codes.size >= 2) break;
 
-        // Low confidence patterns (only if we haven't found many codes yet)
-        if (results.codes.size < 2) {
-            for (const [patternName, pattern] of Object.entries(patterns.lowConfidenceCodes)) {
+            for (const rule of extractorRegistry.getRules(tier)) {
                 try {
-                    const matches = cleanText.matchAll(pattern);
-                    for (const match of matches) {
-                        try {
-                            const code = match[1]?.trim()?.toUpperCase();
-                            if (code && isValidCode(code) && !results.codes.has(code)) {
-                                results.codes.set(code, confidenceLevels.low);
-                            }
-                        } catch (err) {
-                            console.log("⚠️ Error processing low confidence code:", err.message);
-                        }
-                    }
+                    applyExtractorRule(rule, workingText, results.codes, evidence.codes, evidenceAt);
                 } catch (err) {
-                    console.log(`⚠️ Error with low confidence pattern ${patternName}:`, err.message);
+                    console.log(`⚠️ Error with ${tier} confidence pattern ${rule.name}:`, err.message);
                 }
             }
         }
 
-        // Extract discounts with defensive handling
+        // Typed offers (percentages, flat amounts, BOGO, free shipping, free periods);
+        // percent_off/flat_discount stay as plain value arrays for existing callers
         try {
-            const percentMatches = cleanText.matchAll(patterns.percentOff);
-            for (const match of percentMatches) {
+            for (const offer of parseDiscounts(workingText)) {
                 try {
-                    const percent = parseInt(match[1]);
-                    if (!isNaN(percent) && percent > 0 && percent <= 100) {
-                        results.percent_off.add(percent);
-                    }
-                } catch (err) {
-                    console.log("⚠️ Error processing percent discount:", err.message);
-                }
-            }
-        } catch (err) {
-            console.log("⚠️ Error extracting percent discounts:", err.message);
-        }
+                    results.offers.push(offer);
+                    const record = evidenceAt(offer.start, offer.end);
 
-        try {
-            const flatMatches = cleanText.matchAll(patterns.flatDiscount);
-            for (const match of flatMatches) {
-                try {
-                    const amount = parseFloat(match[1]);
-                    if (!isNaN(amount) && amount > 0) {
-                        results.flat_discount.add(amount);
+                    if (offer.kind === OFFER_KINDS.PERCENT_OFF) {
+                        results.percent_off.add(offer.value);
+                        addEvidence(evidence.percent_off, offer.value, record);
+                    } else if (offer.kind === OFFER_KINDS.FLAT_DISCOUNT) {
+                        results.flat_discount.add(offer.value);
+                        addEvidence(evidence.flat_discount, offer.value, record);
                     }
                 } catch (err) {
-                    console.log("⚠️ Error processing flat discount:", err.message);
+                    console.log("⚠️ Error processing discount offer:", err.message);
                 }
             }
         } catch (err) {
-            console.log("⚠️ Error extracting flat discounts:", err.message);
+            console.log("⚠️ Error extracting discounts:", err.message);
         }
 
     } catch (error) {
@@ -274,16 +264,129 @@ function extractCodes(text) {
         };
     }
 
-    return {
+    const extraction = {
         links: Array.from(results.links),
         codes: Array.from(results.codes.keys()),
         codeConfidence: Object.fromEntries(results.codes),
         percent_off: Array.from(results.percent_off).sort((a, b) => b - a),
-        flat_discount: Array.from(results.flat_discount).sort((a, b) => b - a)
+        flat_discount: Array.from(results.flat_discount).sort((a, b) => b - a),
+        offers: results.offers.map(offer => ({
+            ...offer,
+            start: normalization.toOriginal(offer.start) + leadingWhitespace,
+            end: normalization.toOriginal(offer.end, true) + leadingWhitespace
+        })),
+        evidence: {
+            links: collectEvidence(evidence.links, results.links, leadingWhitespace),
+            codes: collectEvidence(evidence.codes, results.codes.keys(), leadingWhitespace),
+            percent_off: collectEvidence(evidence.percent_off, results.percent_off, leadingWhitespace),
+            flat_discount: collectEvidence(evidence.flat_discount, results.flat_discount, leadingWhitespace)
+        }
     };
+
+    // One record per code with the merchant, link and discount mentioned nearest to it,
+    // so videos with several sponsors don't mix up whose code is whose
+    try {
+        extraction.promotions = associateOffers({
+            ...extraction,
+            mentions: findSponsorMentions(text)
+        });
+    } catch (err) {
+        console.log("⚠️ Error associating codes with merchants:", err.message);
+        extraction.promotions = [];
+    }
+
+    return extraction;
+}
+
+// Evidence for the values that made it into the result, shifted back to input offsets
+function collectEvidence(evidenceMap, keys, offsetShift = 0) {
+    const collected = {};
+    for (const key of keys) {
+        collected[key] = (evidenceMap.get(key) || []).map(record => ({
+            ...record,
+            start: record.start + offsetShift,
+            end: record.end + offsetShift
+        }));
+    }
+    return collected;
+}
+
+// Maps a character offset in the joined transcript (lines joined with a single
+// space) back to its line index, segment source ('captions', 'description', ...)
+// and, for timed segments, the video timestamp in seconds
+function createLocator(segments) {
+    const lineStarts = [];
+    let offset = 0;
+    for (const segment of segments) {
+        lineStarts.push(offset);
+        offset += segment.text.length + 1;
+    }
+
+    const findLine = (position) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (lineStarts[mid] <= position) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    };
+
+    return (record) => {
+        const lineIndex = findLine(record.start);
+        const { start, source } = segments[lineIndex];
+        return {
+            ...record,
+            lineIndex,
+            timestamp: typeof start === 'number' && !isNaN(start) ? start : null,
+            source: source || null
+        };
+    };
+}
+
+function locateEvidence(evidence, locate) {
+    const located = {};
+    for (const [kind, byValue] of Object.entries(evidence)) {
+        located[kind] = {};
+        for (const [value, records] of Object.entries(byValue)) {
+            located[kind][value] = records.map(locate);
+        }
+    }
+    return located;
+}
+
+// Line counts per contiguous run of segments from the same source
+function summarizeSections(segments) {
+    const sections = [];
+    segments.forEach((segment, index) => {
+        const source = segment.source || null;
+        const last = sections[sections.length - 1];
+        if (last && last.source === source) {
+            last.lines++;
+        } else {
+            sections.push({ source, firstLine: index, lines: 1 });
+        }
+    });
+    return sections;
+}
+
+// code -> distinct sources it was seen in, e.g. { SAVE20: ['captions', 'description'] }
+function getCodeSources(evidence) {
+    const codeSources = {};
+    for (const [code, records] of Object.entries(evidence.codes || {})) {
+        codeSources[code] = [...new Set(records.map(record => record.source).filter(Boolean))];
+    }
+    return codeSources;
 }
 
-async function extractFromTranscript(transcriptLines) {
+/**
+ * Runs extraction, sponsor detection and scoring over a transcript.
+ * @param {Array<string|{text: string, start?: number, source?: string}>|string} transcriptLines
+ * @param {{sponsorBrands?: string[], videoMetadata?: object}} [options] Extra known sponsors
+ *   and video metadata (channelName, category, subscriberCount) passed to scoreMatch.
+ */
+async function extractFromTranscript(transcriptLines, options = {}) {
     console.log("\n▶️ Starting extraction pipeline...");
     
     // Defensive validation of input
@@ -329,13 +432,17 @@ async function extractFromTranscript(transcriptLines) {
         };
     }
 
-    // Filter out invalid lines with defensive checks
-    const validLines = transcriptLines.filter(line => {
-        if (!line) return false;
-        if (typeof line !== 'string') return false;
-        if (line.trim().length === 0) return false;
-        return true;
-    });
+    // Filter out invalid lines with defensive checks; timed segments
+    // ({ text, start, duration }) are accepted alongside plain strings
+    const validSegments = transcriptLines
+        .map(line => (typeof line === 'string' ? { text: line } : line))
+        .filter(segment => {
+            if (!segment || typeof segment !== 'object') return false;
+            if (typeof segment.text !== 'string') return false;
+            if (segment.text.trim().length === 0) return false;
+            return true;
+        });
+    const validLines = validSegments.map(segment => segment.text);
     
     if (validLines.length === 0) {
         console.log("⚠️ No valid content in transcript lines after filtering");
@@ -349,9 +456,11 @@ async function extractFromTranscript(transcriptLines) {
         };
     }
 
+    let joinedText;
     let fullText;
     try {
-        fullText = validLines.join(' ').trim();
+        joinedText = validLines.join(' ');
+        fullText = joinedText.trim();
     } catch (error) {
         console.log("⚠️ Error joining transcript lines:", error.message);
         return {
@@ -377,10 +486,31 @@ async function extractFromTranscript(transcriptLines) {
     }
 
     console.log(`📝 Processing ${fullText.length} characters from ${validLines.length} lines`);
+
+    // Label the sections fed in (captions, description, comment) when segments carry a source
+    const sections = summarizeSections(validSegments);
+    if (sections.length > 1 || sections[0]?.source) {
+        console.log(`📑 Sections: ${sections.map(section => `${section.source || 'unknown'} (${section.lines} lines)`).join(', ')}`);
+    }
     
     let regexResult;
     try {
-        regexResult = extractCodes(fullText);
+        // Extract from the untrimmed join so evidence offsets line up with line starts
+        regexResult = extractCodes(joinedText);
+        const locate = createLocator(validSegments);
+        if (regexResult.offers) {
+            regexResult.offers = regexResult.offers.map(locate);
+        }
+        if (regexResult.promotions) {
+            regexResult.promotions = regexResult.promotions.map(promotion =>
+                (promotion.start === null ? promotion : locate(promotion))
+            );
+        }
+        if (regexResult.evidence) {
+            regexResult.evidence = locateEvidence(regexResult.evidence, locate);
+            regexResult.codeSources = getCodeSources(regexResult.evidence);
+        }
+        regexResult.sections = sections;
     } catch (error) {
         console.log("⚠️ Error in extractCodes:", error.message);
         return {
@@ -403,14 +533,43 @@ async function extractFromTranscript(transcriptLines) {
     // Show individual code confidences
     if (regexResult.codeConfidence && Object.keys(regexResult.codeConfidence).length > 0) {
         console.log("🎯 Code confidence levels:");
-        for (const [code, confidence] of Object.entries(regexResult.codeConfidence)) {
-            console.log(`   ${code}: ${(confidence * 100).toFixed(0)}%`);
+        for (const [code, entry] of Object.entries(regexResult.codeConfidence)) {
+            console.log(`   ${code}: ${(getCodeConfidence(entry) * 100).toFixed(0)}% (${entry.rule || 'unknown rule'})`);
+        }
+    }
+
+    if (regexResult.promotions?.length > 0) {
+        console.log("🔗 Code offers:");
+        for (const promotion of regexResult.promotions) {
+            const discount = promotion.discount ? `, ${promotion.discount.match}` : '';
+            console.log(`   ${promotion.code} → ${promotion.merchant || 'unknown merchant'}${discount}`);
         }
     }
 
+    // Sponsor brands from the dictionary, link domains and "sponsored by" phrases
+    try {
+        const { sponsorBrands, sponsors } = detectSponsors(fullText, regexResult.links);
+        regexResult.sponsorBrands = [...new Set([...(options.sponsorBrands || []), ...sponsorBrands])];
+        regexResult.sponsors = sponsors;
+        if (regexResult.sponsorBrands.length > 0) {
+            console.log(`🏷️ Sponsors detected: ${regexResult.sponsorBrands.join(', ')}`);
+        }
+    } catch (error) {
+        console.log("⚠️ Error detecting sponsors:", error.message);
+        regexResult.sponsorBrands = options.sponsorBrands || [];
+        regexResult.sponsors = [];
+    }
+
     let score = 0;
     try {
-        score = scoreMatch(regexResult);
+        // Keep the breakdown and reasons with the result so status decisions can be explained
+        regexResult.scoreDetails = scoreMatchDetailed({
+            ...regexResult,
+            // Scored against the normalized text so spoken codes aren't treated as orphaned
+            rawText: normalizeSpokenCodes(fullText).text,
+            videoMetadata: options.videoMetadata || {}
+        });
+        score = regexResult.scoreDetails.score;
     } catch (error) {
         console.log("⚠️ Error calculating score:", error.message);
         score = 0;
@@ -440,6 +599,7 @@ async function extractFromTranscript(transcriptLines) {
 
 module.exports = {
     extractCodes,
+    extractorRegistry,
     extractFromTranscript,
     isValidCode,
     isGenericLink,
@@ -0,0 +1,172 @@
+// transcriptChunker.js - Pick the promotion-dense parts of a transcript for AI prompts
+
+const { findSponsorMentions, escapeRegExp } = require('./sponsorDetector');
+
+// Rough token estimate for English text; good enough for budgeting prompts
+const CHARS_PER_TOKEN = 4;
+
+// Characters of context kept on each side of a keyword hit
+const WINDOW_RADIUS = 300;
+
+// Words that cluster around sponsor reads, with how much each hit counts
+const PROMO_KEYWORDS = [
+    { pattern: /\b(?:promo|coupon|discount|offer)\s*codes?\b/gi, weight: 3 },
+    { pattern: /\b(?:use|enter|with)\s+(?:my\s+|the\s+)?code\b/gi, weight: 3 },
+    { pattern: /\bcode\b/gi, weight: 1 },
+    { pattern: /\d+\s*(?:%|percent)\s*off\b/gi, weight: 2 },
+    { pattern: /[$£€]\s?\d+(?:\.\d{2})?\s*off\b/gi, weight: 2 },
+    { pattern: /\b(?:discount|coupon|promo|deal|free\s+trial)\b/gi, weight: 1 },
+    { pattern: /\b(?:sponsor(?:ed|ing|s)?|partnered\s+with|brought\s+to\s+you\s+by)\b/gi, weight: 2 },
+    { pattern: /\blink\s+(?:is\s+)?(?:in|below)\b|\bin\s+the\s+description\b/gi, weight: 1 },
+    { pattern: /\bhttps?:\/\/\S+|\b[\w-]+\.(?:com|net|org|io|co|gg|deals)\/\S*/gi, weight: 1 }
+];
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// Every keyword, sponsor mention and known code position, with its weight
+function findPromoHits(text, anchors = []) {
+    const hits = [];
+
+    for (const { pattern, weight } of PROMO_KEYWORDS) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            hits.push({ position: match.index, weight });
+        }
+    }
+
+    for (const mention of findSponsorMentions(text)) {
+        hits.push({ position: mention.start, weight: 2 });
+    }
+
+    // Codes the regex already found are the strongest signal of where the read is
+    for (const code of anchors) {
+        const pattern = new RegExp(escapeRegExp(String(code)), 'gi');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            hits.push({ position: match.index, weight: 4 });
+        }
+    }
+
+    return hits.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Selects the most promotion-dense windows of `text` that fit in `tokenBudget`.
+ * Windows form around keyword hits, overlapping ones are merged, and the densest
+ * are kept; the result is in transcript order.
+ *
+ * @param {string} text Full transcript.
+ * @param {{tokenBudget?: number, anchors?: string[], radius?: number}} [options]
+ *   `anchors` are codes already extracted, weighted above plain keywords.
+ * @returns {{start: number, end: number, text: string, score: number, tokens: number}[]}
+ */
+function selectPromoWindows(text, options = {}) {
+    const { tokenBudget = 1000, anchors = [], radius = WINDOW_RADIUS } = options;
+    if (!text) return [];
+
+    // Short transcripts fit as they are
+    if (estimateTokens(text) <= tokenBudget) {
+        return [{ start: 0, end: text.length, text, score: 0, tokens: estimateTokens(text) }];
+    }
+
+    const windows = [];
+    for (const { position, weight } of findPromoHits(text, anchors)) {
+        const start = Math.max(0, position - radius);
+        const end = Math.min(text.length, position + radius);
+        const last = windows[windows.length - 1];
+        if (last && start <= last.end) {
+            last.end = Math.max(last.end, end);
+            last.score += weight;
+        } else {
+            windows.push({ start, end, score: weight });
+        }
+    }
+
+    // No promotional language at all: the opening is as good a guess as any
+    if (windows.length === 0) {
+        const end = Math.min(text.length, tokenBudget * CHARS_PER_TOKEN);
+        return [{ start: 0, end, text: text.slice(0, end), score: 0, tokens: estimateTokens(text.slice(0, end)) }];
+    }
+
+    // Densest first (hits per character), then fill the budget
+    const ranked = [...windows].sort((a, b) => (b.score / (b.end - b.start)) - (a.score / (a.end - a.start)));
+    const selected = [];
+    let remaining = tokenBudget;
+
+    for (const window of ranked) {
+        if (remaining <= 0) break;
+        let end = window.end;
+        // Trim the last window to the budget rather than dropping it
+        if (estimateTokens(text.slice(window.start, end)) > remaining) {
+            end = window.start + remaining * CHARS_PER_TOKEN;
+        }
+        const windowText = text.slice(window.start, end);
+        selected.push({ start: window.start, end, text: windowText, score: window.score, tokens: estimateTokens(windowText) });
+        remaining -= estimateTokens(windowText);
+    }
+
+    return selected.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Groups windows into chunks of at most `chunkTokens` each, densest chunk first,
+ * so each chunk can go out as its own prompt.
+ * @returns {{windows: object[], text: string, score: number, tokens: number}[]}
+ */
+function groupWindows(windows, chunkTokens = 1000) {
+    const chunks = [];
+    let current = null;
+
+    // A merged window longer than a chunk is cut into chunk-sized pieces
+    const pieces = windows.flatMap(window => {
+        if (window.tokens <= chunkTokens) return [window];
+        const size = chunkTokens * CHARS_PER_TOKEN;
+        const parts = [];
+        for (let start = 0; start < window.text.length; start += size) {
+            const text = window.text.slice(start, start + size);
+            parts.push({ ...window, start: window.start + start, end: window.start + start + text.length, text, tokens: estimateTokens(text) });
+        }
+        return parts;
+    });
+
+    for (const window of pieces) {
+        if (!current || current.tokens + window.tokens > chunkTokens) {
+            current = { windows: [], score: 0, tokens: 0 };
+            chunks.push(current);
+        }
+        current.windows.push(window);
+        current.score += window.score;
+        current.tokens += window.tokens;
+    }
+
+    return chunks
+        .map(chunk => ({ ...chunk, text: chunk.windows.map(window => window.text.trim()).join('\n...\n') }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The densest `maxChunks` excerpts of `text`, each at most `chunkTokens`, densest
+ * first: what goes out as one prompt each. A text that fits comes back whole.
+ * @param {{chunkTokens?: number, maxChunks?: number, anchors?: string[]}} [options]
+ * @returns {string[]}
+ */
+function selectPromptChunks(text, options = {}) {
+    const { chunkTokens = 1000, maxChunks = 3, anchors = [] } = options;
+    if (!text) return [''];
+
+    const windows = selectPromoWindows(text, { tokenBudget: chunkTokens * maxChunks, anchors });
+    return groupWindows(windows, chunkTokens)
+        .slice(0, maxChunks)
+        .map(chunk => chunk.text);
+}
+
+module.exports = {
+    selectPromoWindows,
+    groupWindows,
+    selectPromptChunks,
+    estimateTokens,
+    CHARS_PER_TOKEN
+};
@@ -10,6 +10,24 @@ const envSchema = Joi.object({
     
     // Optional APIs
     OPENAI_API_KEY: Joi.string().optional().label('OPENAI_API_KEY'),
+    ANTHROPIC_API_KEY: Joi.string().optional().label('ANTHROPIC_API_KEY'),
+    AZURE_OPENAI_API_KEY: Joi.string().optional().label('AZURE_OPENAI_API_KEY'),
+    AZURE_OPENAI_ENDPOINT: Joi.string().uri().optional().label('AZURE_OPENAI_ENDPOINT'),
+
+    // AI backend selection, see llmProviders.js
+    AI_PROVIDER: Joi.string()
+        .valid('openai', 'anthropic', 'azure', 'azure-openai', 'openai-compatible', 'local', 'ollama', 'llama.cpp', 'llamacpp')
+        .insensitive()
+        .optional()
+        .label('AI_PROVIDER'),
+    AI_BASE_URL: Joi.string().uri().optional().label('AI_BASE_URL'),
+    AI_MODEL: Joi.string().optional().label('AI_MODEL'),
+    AI_TOKENS_PER_MINUTE: Joi.number().integer().min(1).optional().label('AI_TOKENS_PER_MINUTE'),
+    AI_PROMPT_AB: Joi.string().optional().label('AI_PROMPT_AB'),
+    AI_CACHE: Joi.boolean().optional().label('AI_CACHE'),
+    AI_MAX_COST_PER_RUN: Joi.number().min(0).optional().label('AI_MAX_COST_PER_RUN'),
+    AI_MAX_COST_TOTAL: Joi.number().min(0).optional().label('AI_MAX_COST_TOTAL'),
+    AI_MODE: Joi.string().valid('rescore', 'extract', 'both').insensitive().optional().label('AI_MODE'),
     
     // Google Sheets integration (all or none)
     GOOGLE_SHEET_ID: Joi.string().optional().label('GOOGLE_SHEET_ID'),
@@ -30,6 +48,9 @@ if (error) {
     console.error('   YOUTUBE_API_KEY - Get from Google Cloud Console');
     console.error('\n🔧 Optional environment variables:');
     console.error('   OPENAI_API_KEY - For AI-powered code extraction');
+    console.error('   AI_PROVIDER - openai, anthropic, azure or openai-compatible (local models)');
+    console.error('   AI_BASE_URL - Endpoint for local/OpenAI-compatible servers or Azure');
+    console.error('   AI_MODE - rescore (default), extract or both');
     console.error('   GOOGLE_SHEET_ID - For syncing results to Google Sheets');
     process.exit(1);
 } // ← ADD THIS MISSING CLOSING BRACE
@@ -0,0 +1,230 @@
+// youtubeClient.js - Shared YouTube Data API client with daily quota metering
+//
+// Every Data API call goes through YouTubeClient.request(), which charges the
+// call's unit cost to youtube-quota.json before sending it. YouTube resets the
+// quota at midnight Pacific time, so usage is kept per Pacific date.
+
+const fs = require('fs').promises;
+const axios = require('axios');
+// axios-retry 4 exports the function as `default` from CommonJS
+const axiosRetry = require('axios-retry').default;
+const config = require('./config');
+require('dotenv').config();
+
+const API_BASE = 'https://www.googleapis.com/youtube/v3';
+
+const YOUTUBE_SETTINGS = config.loadConfig().youtube || {};
+
+// Units per call (https://developers.google.com/youtube/v3/determine_quota_cost)
+const QUOTA_COSTS = {
+    videos: 1,
+    channels: 1,
+    playlistItems: 1,
+    playlists: 1,
+    commentThreads: 1,
+    search: 100
+};
+
+// videos.list takes at most this many IDs per call
+const MAX_IDS_PER_REQUEST = 50;
+
+// Days of usage kept in the quota file
+const HISTORY_DAYS = 30;
+
+function quotaDate(time = Date.now()) {
+    // en-CA formats as YYYY-MM-DD
+    return new Date(time).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+}
+
+class QuotaTracker {
+    constructor(options = {}) {
+        this.limit = options.limit ?? 10000;
+        this.usageFile = options.usageFile || 'youtube-quota.json';
+        this.days = null;
+        this.runUnits = 0;
+        this.writeChain = Promise.resolve();
+    }
+
+    async load() {
+        if (this.days) return this.days;
+
+        try {
+            this.days = JSON.parse(await fs.readFile(this.usageFile, 'utf8')).days || {};
+        } catch (err) {
+            // File doesn't exist or is invalid, start fresh
+            this.days = {};
+        }
+        return this.days;
+    }
+
+    async today() {
+        const days = await this.load();
+        const date = quotaDate();
+        if (!days[date]) days[date] = { used: 0, requests: 0, byEndpoint: {} };
+        return days[date];
+    }
+
+    async used() {
+        return (await this.today()).used;
+    }
+
+    async remaining() {
+        return Math.max(0, this.limit - await this.used());
+    }
+
+    async canSpend(units) {
+        return await this.used() + units <= this.limit;
+    }
+
+    // Next midnight Pacific, when the quota resets
+    resetsAt() {
+        const now = Date.now();
+        let time = now;
+        // Step forward an hour at a time until the Pacific date changes, then back to the hour's start
+        while (quotaDate(time) === quotaDate(now)) time += 60 * 60 * 1000;
+        return new Date(Math.floor(time / (60 * 60 * 1000)) * 60 * 60 * 1000);
+    }
+
+    async record(endpoint, units) {
+        const day = await this.today();
+        day.used += units;
+        day.requests++;
+        day.byEndpoint[endpoint] = (day.byEndpoint[endpoint] || 0) + units;
+        this.runUnits += units;
+
+        // Drop old days so the file stays small
+        const dates = Object.keys(this.days).sort();
+        dates.slice(0, Math.max(0, dates.length - HISTORY_DAYS)).forEach(date => delete this.days[date]);
+
+        // Writes run one at a time; each writes the latest state
+        this.writeChain = this.writeChain.then(async () => {
+            try {
+                const tempFile = `${this.usageFile}.tmp`;
+                await fs.writeFile(tempFile, JSON.stringify({ limit: this.limit, days: this.days }, null, 2));
+                await fs.rename(tempFile, this.usageFile);
+            } catch (err) {
+                console.error('❌ Failed to save YouTube quota usage:', err.message);
+            }
+        });
+        await this.writeChain;
+    }
+}
+
+class YouTubeClient {
+    constructor(config = {}) {
+        this.apiKey = config.apiKey || YOUTUBE_SETTINGS.apiKey || process.env.YOUTUBE_API_KEY;
+        // Minimum gap between calls, in ms
+        this.requestDelay = config.requestDelay ?? YOUTUBE_SETTINGS.requestDelay ?? 100;
+        this.quota = new QuotaTracker({
+            limit: config.quotaLimit ?? YOUTUBE_SETTINGS.quotaLimit,
+            usageFile: config.quotaFile || YOUTUBE_SETTINGS.quotaFile
+        });
+
+        this.http = axios.create({ baseURL: API_BASE });
+        // Each retry is billed like a new call, so it's charged (and can run out of quota) too
+        axiosRetry(this.http, {
+            retries: 3,
+            onRetry: (retryCount, error, requestConfig) => this.charge(requestConfig.url.replace(/^\//, ''))
+        });
+
+        // videos.list snippets by ID, so checking a video and reading its details costs one lookup
+        this.videoCache = new Map();
+        this.lastRequestAt = 0;
+    }
+
+    async throttle() {
+        const wait = this.lastRequestAt + this.requestDelay - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        this.lastRequestAt = Date.now();
+    }
+
+    // Records one call to `endpoint`, or throws a QUOTA_EXCEEDED error if it won't fit today
+    async charge(endpoint) {
+        const units = QUOTA_COSTS[endpoint] ?? 1;
+        if (!(await this.quota.canSpend(units))) {
+            const error = new Error(`YouTube quota exceeded: ${await this.quota.used()}/${this.quota.limit} units used today, ${endpoint}.list needs ${units} (resets ${this.quota.resetsAt().toLocaleString()})`);
+            error.code = 'QUOTA_EXCEEDED';
+            throw error;
+        }
+        await this.quota.record(endpoint, units);
+    }
+
+    /**
+     * One Data API call, e.g. request('playlistItems', { playlistId, part: 'snippet' }).
+     * Units are charged before the call and before each retry (YouTube bills failed calls too).
+     * @throws {Error} with code 'QUOTA_EXCEEDED' when the call would pass the daily limit.
+     */
+    async request(endpoint, params = {}) {
+        await this.charge(endpoint);
+        await this.throttle();
+        const response = await this.http.get(`/${endpoint}`, { params: { key: this.apiKey, ...params } });
+        return response.data;
+    }
+
+    // Whether `calls` more calls to `endpoint` fit in today's quota
+    async hasQuotaFor(endpoint, calls = 1) {
+        return this.quota.canSpend((QUOTA_COSTS[endpoint] ?? 1) * calls);
+    }
+
+    /**
+     * videos.list snippets for `videoIds`, up to 50 IDs per call. IDs already looked
+     * up are served from memory; unknown or private videos are missing from the result.
+     * @returns {Promise<Map<string, object>>} Video resources by ID.
+     */
+    async getVideos(videoIds) {
+        const missing = [...new Set(videoIds)].filter(id => !this.videoCache.has(id));
+
+        for (let i = 0; i < missing.length; i += MAX_IDS_PER_REQUEST) {
+            const batch = missing.slice(i, i + MAX_IDS_PER_REQUEST);
+            const data = await this.request('videos', { part: 'snippet', id: batch.join(','), maxResults: batch.length });
+
+            batch.forEach(id => this.videoCache.set(id, null));
+            (data.items || []).forEach(item => this.videoCache.set(item.id, item));
+        }
+
+        const videos = new Map();
+        for (const id of videoIds) {
+            const video = this.videoCache.get(id);
+            if (video) videos.set(id, video);
+        }
+        return videos;
+    }
+
+    // One video resource, or null when it doesn't exist or isn't public
+    async getVideo(videoId) {
+        return (await this.getVideos([videoId])).get(videoId) || null;
+    }
+
+    async getQuotaStats() {
+        const today = await this.quota.today();
+        return {
+            date: quotaDate(),
+            used: today.used,
+            limit: this.quota.limit,
+            remaining: Math.max(0, this.quota.limit - today.used),
+            run: this.quota.runUnits,
+            byEndpoint: today.byEndpoint
+        };
+    }
+}
+
+let sharedClient = null;
+
+// The client every module shares, so quota is metered in one place
+function getYouTubeClient() {
+    if (!sharedClient) sharedClient = new YouTubeClient();
+    return sharedClient;
+}
+
+function isQuotaError(error) {
+    return error?.code === 'QUOTA_EXCEEDED';
+}
+
+module.exports = {
+    YouTubeClient,
+    QuotaTracker,
+    getYouTubeClient,
+    isQuotaError,
+    QUOTA_COSTS,
+    MAX_IDS_PER_REQUEST
+};